@@ -12,11 +12,19 @@ import cottonRoutes from "./routes/cotton.js";
 import authRoutes from "./routes/auth.js";
 import yarnRealizationRoutes from "./routes/yarn-realization.js";
 import stuffingRoutes from "./routes/stuffing.js";
+import auditRoutes from "./routes/audit.js";
+import complaintAnalyticsRoutes from "./routes/complaint-analytics.js";
+import { requireAuth, authorize } from "./middleware/auth.js";
 
 dotenv.config();
 
 const app = express();
 
+// Render puts one proxy in front of the app. Trusting that hop makes req.ip the client address
+// (used by the login throttle and login history) instead of the proxy's.
+const proxyHops = Number(process.env.TRUST_PROXY_HOPS ?? 1);
+app.set("trust proxy", Number.isInteger(proxyHops) && proxyHops >= 0 ? proxyHops : 1);
+
 app.use(cors({
   origin: process.env.ALLOWED_ORIGIN || "*"
 }));
@@ -38,7 +46,7 @@ app.get("/health", (req, res) => {
 });
 
 // Restart service route
-app.post("/api/restart-service", async (req, res) => {
+app.post("/api/restart-service", requireAuth, authorize("system", "update"), async (req, res) => {
   const serviceId = process.env.RENDER_SERVICE_ID;
   const apiKey = process.env.RENDER_API_KEY;
 
@@ -90,6 +98,8 @@ app.get("/supabase-test", async (req, res) => {
 
 // Use modular routes
 const apiRouter = express.Router();
+// Every /api route requires a valid session except /login and /refresh
+apiRouter.use(requireAuth);
 apiRouter.use(complaintRoutes);
 apiRouter.use(layoutRoutes);
 apiRouter.use(utilRoutes);
@@ -100,6 +110,8 @@ apiRouter.use(cottonRoutes);
 apiRouter.use(authRoutes);
 apiRouter.use(yarnRealizationRoutes);
 apiRouter.use(stuffingRoutes);
+apiRouter.use(auditRoutes);
+apiRouter.use(complaintAnalyticsRoutes);
 
 app.use("/api", apiRouter);
 
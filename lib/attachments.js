@@ -0,0 +1,217 @@
+import crypto from "crypto";
+import express from "express";
+import { supabase } from "../supabase/client.js";
+import { storage } from "./storage/index.js";
+import { recordAudit } from "./audit.js";
+import { authorize } from "../middleware/auth.js";
+
+export const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Accepted Content-Types, with the leading bytes the file must start with (null = not checked)
+const ALLOWED_TYPES = {
+  "image/jpeg": [[0xff, 0xd8, 0xff]],
+  "image/png": [[0x89, 0x50, 0x4e, 0x47]],
+  "image/webp": [[0x52, 0x49, 0x46, 0x46]],
+  "application/pdf": [[0x25, 0x50, 0x44, 0x46]],
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": [[0x50, 0x4b, 0x03, 0x04]],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [[0x50, 0x4b, 0x03, 0x04]],
+  "application/vnd.ms-excel": [[0xd0, 0xcf, 0x11, 0xe0]],
+  "application/msword": [[0xd0, 0xcf, 0x11, 0xe0]],
+  "text/csv": null,
+  "text/plain": null
+};
+
+const ATTACHMENT_COLUMNS = "id, complaint_table, complaint_id, file_name, mime_type, size_bytes, uploaded_by_name, created_at";
+
+function matchesSignature(buffer, mimeType) {
+  const signatures = ALLOWED_TYPES[mimeType];
+  if (!signatures) return true;
+  return signatures.some(sig => sig.every((byte, i) => buffer[i] === byte));
+}
+
+function safeFileName(name) {
+  return String(name || "attachment").replace(/[^\w.\- ]+/g, "_").slice(0, 200);
+}
+
+// Remove every attachment of a complaint from storage and from complaint_attachments
+export async function deleteComplaintAttachments(table, complaintId) {
+  const { data, error } = await supabase
+    .from("complaint_attachments")
+    .select("id, storage_key")
+    .eq("complaint_table", table)
+    .eq("complaint_id", complaintId);
+
+  if (error) throw error;
+  if (data.length === 0) return;
+
+  await storage.remove(data.map(a => a.storage_key));
+
+  const { error: deleteError } = await supabase
+    .from("complaint_attachments")
+    .delete()
+    .eq("complaint_table", table)
+    .eq("complaint_id", complaintId);
+
+  if (deleteError) throw deleteError;
+}
+
+// Register attachment endpoints for a complaint table:
+//   POST   <basePath>/:id/attachments?filename=...    raw file body, Content-Type = file type
+//   GET    <basePath>/:id/attachments                 metadata list
+//   GET    <basePath>/:id/attachments/:attachmentId   download
+//   DELETE <basePath>/:id/attachments/:attachmentId
+export function registerAttachmentRoutes(router, { basePath, table, resource }) {
+  const parseRaw = express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES });
+  const rawBody = (req, res, next) => parseRaw(req, res, (err) => {
+    if (!err) return next();
+    const message = err.type === "entity.too.large"
+      ? `File exceeds the ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB limit`
+      : err.message;
+    res.status(err.status || 400).json({ success: false, error: message });
+  });
+
+  router.post(`${basePath}/:id/attachments`, authorize(resource, "update"), rawBody, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const mimeType = String(req.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+      const fileName = safeFileName(req.query.filename);
+      const buffer = req.body;
+
+      if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        return res.status(400).json({ success: false, error: "File body is empty" });
+      }
+      if (!(mimeType in ALLOWED_TYPES)) {
+        return res.status(415).json({
+          success: false,
+          error: `File type '${mimeType || "unknown"}' is not allowed. Allowed: ${Object.keys(ALLOWED_TYPES).join(", ")}`
+        });
+      }
+      if (!matchesSignature(buffer, mimeType)) {
+        return res.status(415).json({ success: false, error: `File content does not match type '${mimeType}'` });
+      }
+
+      const { data: complaint, error: complaintError } = await supabase
+        .from(table)
+        .select("id")
+        .eq("id", id)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (complaintError) throw complaintError;
+      if (!complaint) {
+        return res.status(404).json({ success: false, error: "Complaint not found" });
+      }
+
+      const storageKey = `${table}/${id}/${crypto.randomUUID()}-${fileName}`;
+      await storage.put(storageKey, buffer, mimeType);
+
+      const { data, error } = await supabase
+        .from("complaint_attachments")
+        .insert([{
+          complaint_table: table,
+          complaint_id: id,
+          file_name: fileName,
+          mime_type: mimeType,
+          size_bytes: buffer.length,
+          storage_key: storageKey,
+          uploaded_by: req.user.id,
+          uploaded_by_name: req.user.full_name
+        }])
+        .select(ATTACHMENT_COLUMNS)
+        .single();
+
+      if (error) {
+        await storage.remove([storageKey]);
+        throw error;
+      }
+
+      await recordAudit(req.user, {
+        action: "attach",
+        entityType: table,
+        entityId: id,
+        payload: { attachment_id: data.id, file_name: fileName, size_bytes: buffer.length }
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.get(`${basePath}/:id/attachments`, authorize(resource, "read"), async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("complaint_attachments")
+        .select(ATTACHMENT_COLUMNS)
+        .eq("complaint_table", table)
+        .eq("complaint_id", req.params.id)
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.get(`${basePath}/:id/attachments/:attachmentId`, authorize(resource, "read"), async (req, res) => {
+    try {
+      const { id, attachmentId } = req.params;
+      const { data, error } = await supabase
+        .from("complaint_attachments")
+        .select("file_name, mime_type, storage_key")
+        .eq("id", attachmentId)
+        .eq("complaint_table", table)
+        .eq("complaint_id", id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        return res.status(404).json({ success: false, error: "Attachment not found" });
+      }
+
+      const buffer = await storage.get(data.storage_key);
+      res.set("Content-Type", data.mime_type);
+      res.set("Content-Disposition", `attachment; filename="${data.file_name}"`);
+      res.send(buffer);
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.delete(`${basePath}/:id/attachments/:attachmentId`, authorize(resource, "update"), async (req, res) => {
+    try {
+      const { id, attachmentId } = req.params;
+      const { data, error } = await supabase
+        .from("complaint_attachments")
+        .select("id, file_name, storage_key")
+        .eq("id", attachmentId)
+        .eq("complaint_table", table)
+        .eq("complaint_id", id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        return res.status(404).json({ success: false, error: "Attachment not found" });
+      }
+
+      await storage.remove([data.storage_key]);
+
+      const { error: deleteError } = await supabase
+        .from("complaint_attachments")
+        .delete()
+        .eq("id", data.id);
+
+      if (deleteError) throw deleteError;
+
+      await recordAudit(req.user, {
+        action: "detach",
+        entityType: table,
+        entityId: id,
+        payload: { attachment_id: data.id, file_name: data.file_name }
+      });
+      res.json({ success: true, message: "Attachment deleted" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+}
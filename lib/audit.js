@@ -0,0 +1,22 @@
+import { supabase } from "../supabase/client.js";
+
+// Write one structured event to audit_log. Each event is a single insert, so concurrent
+// writers never overwrite each other. Failures are logged and never fail the request.
+export async function recordAudit(actor, { action, entityType, entityId = null, payload = null }) {
+  try {
+    const { error } = await supabase
+      .from("audit_log")
+      .insert([{
+        actor_id: actor?.id ?? null,
+        actor_name: actor?.full_name ?? null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId === null ? null : String(entityId),
+        payload,
+        created_at: new Date().toISOString()
+      }]);
+    if (error) throw error;
+  } catch (err) {
+    console.error("Failed to record audit event", { action, entityType, entityId }, err);
+  }
+}
@@ -0,0 +1,322 @@
+import { supabase } from "../supabase/client.js";
+import { recordAudit } from "./audit.js";
+import { authorize } from "../middleware/auth.js";
+import { isValidDate } from "./complaint-schema.js";
+import { STATUSES, normalizeStatus } from "./complaint-status.js";
+
+// Corrective and preventive actions (CAPA) per complaint, stored in complaint_capa_actions
+export const CAPA_STATUSES = {
+  OPEN: "Open",
+  IN_PROGRESS: "In Progress",
+  CLOSED: "Closed"
+};
+
+export const CAPA_TYPES = ["Corrective", "Preventive"];
+
+// Root cause categories (6M); override with a comma-separated CAPA_ROOT_CAUSES
+export const ROOT_CAUSE_CATEGORIES = process.env.CAPA_ROOT_CAUSES
+  ? process.env.CAPA_ROOT_CAUSES.split(",").map(c => c.trim()).filter(Boolean)
+  : ["Man", "Machine", "Method", "Material", "Measurement", "Environment", "Other"];
+
+const EDITABLE_FIELDS = ["action_type", "description", "root_cause_category", "owner", "due_date", "status", "verification_notes"];
+const REQUIRED_FIELDS = ["description", "root_cause_category", "owner", "due_date"];
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
+
+function matchOption(options, value) {
+  const key = String(value).trim().toLowerCase();
+  return options.find(option => option.toLowerCase() === key) || null;
+}
+
+// Validate a CAPA payload. Returns { value, errors }; unknown fields are reported as errors.
+// Closing goes through the close endpoint, so status may only be Open or In Progress here.
+export function validateCapaAction(payload, { mode = "create" } = {}) {
+  const value = {};
+  const errors = [];
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { value, errors: [{ field: null, message: "Body must be a JSON object" }] };
+  }
+
+  Object.keys(payload).forEach(field => {
+    if (!EDITABLE_FIELDS.includes(field)) {
+      errors.push({ field, message: `Unknown field '${field}'` });
+    }
+  });
+
+  REQUIRED_FIELDS.forEach(field => {
+    if ((mode === "create" || field in payload) && isBlank(payload[field])) {
+      errors.push({ field, message: `${field} is required` });
+    }
+  });
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (!(field in payload) || isBlank(payload[field])) {
+      if (field === "verification_notes" && field in payload) value[field] = null;
+      return;
+    }
+    const raw = payload[field];
+
+    if (field === "action_type") {
+      const type = matchOption(CAPA_TYPES, raw);
+      if (!type) errors.push({ field, message: `action_type must be one of: ${CAPA_TYPES.join(", ")}` });
+      else value[field] = type;
+    } else if (field === "root_cause_category") {
+      const category = matchOption(ROOT_CAUSE_CATEGORIES, raw);
+      if (!category) {
+        errors.push({ field, message: `root_cause_category must be one of: ${ROOT_CAUSE_CATEGORIES.join(", ")}` });
+      } else {
+        value[field] = category;
+      }
+    } else if (field === "status") {
+      const status = matchOption([CAPA_STATUSES.OPEN, CAPA_STATUSES.IN_PROGRESS], raw);
+      if (!status) {
+        errors.push({
+          field,
+          message: matchOption([CAPA_STATUSES.CLOSED], raw)
+            ? "Use the close endpoint to close an action"
+            : `status must be one of: ${CAPA_STATUSES.OPEN}, ${CAPA_STATUSES.IN_PROGRESS}`
+        });
+      } else {
+        value[field] = status;
+      }
+    } else if (field === "due_date") {
+      const date = String(raw).trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !isValidDate(date)) {
+        errors.push({ field, message: "due_date must be a date (YYYY-MM-DD)" });
+      } else {
+        value[field] = date;
+      }
+    } else {
+      value[field] = String(raw).trim();
+    }
+  });
+
+  return { value, errors };
+}
+
+function validationError(errors) {
+  return errors.map(e => e.message).join("; ");
+}
+
+// Number of not-yet-closed actions on a complaint
+export async function countOpenCapaActions(table, complaintId) {
+  const { count, error } = await supabase
+    .from("complaint_capa_actions")
+    .select("id", { count: "exact", head: true })
+    .eq("complaint_table", table)
+    .eq("complaint_id", complaintId)
+    .neq("status", CAPA_STATUSES.CLOSED);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Remove every action of a complaint (used when the complaint is purged)
+export async function deleteCapaActions(table, complaintId) {
+  const { error } = await supabase
+    .from("complaint_capa_actions")
+    .delete()
+    .eq("complaint_table", table)
+    .eq("complaint_id", complaintId);
+
+  if (error) throw error;
+}
+
+// The parent complaint's id and status, or null when it is missing or in the recycle bin
+async function fetchComplaint(table, complaintId) {
+  const { data, error } = await supabase
+    .from(table)
+    .select("id, status")
+    .eq("id", complaintId)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+function isClosed(complaint) {
+  return normalizeStatus(complaint.status) === STATUSES.CLOSED;
+}
+
+async function fetchAction(table, complaintId, actionId) {
+  const { data, error } = await supabase
+    .from("complaint_capa_actions")
+    .select("*")
+    .eq("id", actionId)
+    .eq("complaint_table", table)
+    .eq("complaint_id", complaintId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Register CAPA endpoints for a complaint table:
+//   GET  <basePath>/:id/capa                           actions of a complaint
+//   POST <basePath>/:id/capa                           create an action
+//   PUT  <basePath>/:id/capa/:actionId                 update an action (or reopen a closed one)
+//   POST <basePath>/:id/capa/:actionId/close           close with verification_notes
+export function registerCapaRoutes(router, { basePath, table, resource }) {
+  router.get(`${basePath}/:id/capa`, authorize(resource, "read"), async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("complaint_capa_actions")
+        .select("*")
+        .eq("complaint_table", table)
+        .eq("complaint_id", req.params.id)
+        .order("due_date", { ascending: true });
+
+      if (error) throw error;
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.post(`${basePath}/:id/capa`, authorize(resource, "update"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { value, errors } = validateCapaAction(req.body, { mode: "create" });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: `Invalid action: ${validationError(errors)}`, details: errors });
+      }
+
+      const complaint = await fetchComplaint(table, id);
+      if (!complaint) {
+        return res.status(404).json({ success: false, error: "Complaint not found" });
+      }
+      // A closed complaint must not collect open actions; reopen the complaint first
+      if (isClosed(complaint)) {
+        return res.status(409).json({ success: false, error: "Complaint is closed; reopen it before adding actions" });
+      }
+
+      const { data, error } = await supabase
+        .from("complaint_capa_actions")
+        .insert([{
+          ...value,
+          status: value.status || CAPA_STATUSES.OPEN,
+          complaint_table: table,
+          complaint_id: id,
+          created_by: req.user.full_name
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await recordAudit(req.user, {
+        action: "create",
+        entityType: "complaint_capa_actions",
+        entityId: data.id,
+        payload: { complaint_table: table, complaint_id: id, ...value }
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.put(`${basePath}/:id/capa/:actionId`, authorize(resource, "update"), async (req, res) => {
+    try {
+      const { id, actionId } = req.params;
+      const { value, errors } = validateCapaAction(req.body, { mode: "update" });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: `Invalid action: ${validationError(errors)}`, details: errors });
+      }
+
+      const complaint = await fetchComplaint(table, id);
+      if (!complaint) {
+        return res.status(404).json({ success: false, error: "Complaint not found" });
+      }
+
+      const before = await fetchAction(table, id, actionId);
+      if (!before) {
+        return res.status(404).json({ success: false, error: "Action not found" });
+      }
+      if (before.status === CAPA_STATUSES.CLOSED && !value.status) {
+        return res.status(409).json({ success: false, error: "Action is closed; set status to reopen it" });
+      }
+      if (before.status === CAPA_STATUSES.CLOSED && isClosed(complaint)) {
+        return res.status(409).json({ success: false, error: "Complaint is closed; reopen it before reopening actions" });
+      }
+
+      const updates = { ...value, updated_at: new Date().toISOString() };
+      if (value.status && before.status === CAPA_STATUSES.CLOSED) {
+        updates.closed_at = null;
+        updates.closed_by = null;
+      }
+
+      const { data, error } = await supabase
+        .from("complaint_capa_actions")
+        .update(updates)
+        .eq("id", actionId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await recordAudit(req.user, {
+        action: before.status === CAPA_STATUSES.CLOSED ? "reopen" : "update",
+        entityType: "complaint_capa_actions",
+        entityId: actionId,
+        payload: { complaint_table: table, complaint_id: id, ...value }
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.post(`${basePath}/:id/capa/:actionId/close`, authorize(resource, "update"), async (req, res) => {
+    try {
+      const { id, actionId } = req.params;
+      const notes = req.body?.verification_notes;
+      if (isBlank(notes)) {
+        return res.status(400).json({ success: false, error: "verification_notes is required to close an action" });
+      }
+
+      const complaint = await fetchComplaint(table, id);
+      if (!complaint) {
+        return res.status(404).json({ success: false, error: "Complaint not found" });
+      }
+
+      const before = await fetchAction(table, id, actionId);
+      if (!before) {
+        return res.status(404).json({ success: false, error: "Action not found" });
+      }
+      if (before.status === CAPA_STATUSES.CLOSED) {
+        return res.status(409).json({ success: false, error: "Action is already closed" });
+      }
+
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from("complaint_capa_actions")
+        .update({
+          status: CAPA_STATUSES.CLOSED,
+          verification_notes: String(notes).trim(),
+          closed_by: req.user.full_name,
+          closed_at: now,
+          updated_at: now
+        })
+        .eq("id", actionId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await recordAudit(req.user, {
+        action: "close",
+        entityType: "complaint_capa_actions",
+        entityId: actionId,
+        payload: { complaint_table: table, complaint_id: id, verification_notes: data.verification_notes }
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+}
@@ -0,0 +1,64 @@
+import { supabase } from "../supabase/client.js";
+import { authorize } from "../middleware/auth.js";
+
+// Columns that change on every write and are not worth a history entry
+const IGNORED_FIELDS = ["id", "created_at", "updated_at"];
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Field-level differences between the stored row before and after an update.
+// Only the fields that were part of the update are compared.
+export function diffRecords(before, after, fields = Object.keys(after || {})) {
+  return fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !sameValue(before?.[field], after?.[field]))
+    .map(field => ({ field, oldValue: before?.[field] ?? null, newValue: after?.[field] ?? null }));
+}
+
+// Store one change_history row per changed field. All rows of one update share changed_at.
+export async function recordChanges(actor, entityType, entityId, before, after, fields) {
+  const changes = diffRecords(before, after, fields);
+  if (changes.length === 0) return;
+
+  const changedAt = new Date().toISOString();
+  try {
+    const { error } = await supabase
+      .from("change_history")
+      .insert(changes.map(change => ({
+        entity_type: entityType,
+        entity_id: String(entityId),
+        field_name: change.field,
+        old_value: change.oldValue,
+        new_value: change.newValue,
+        changed_by: actor?.id ?? null,
+        changed_by_name: actor?.full_name ?? null,
+        changed_at: changedAt
+      })));
+    if (error) throw error;
+  } catch (err) {
+    console.error("Failed to record change history", { entityType, entityId }, err);
+  }
+}
+
+// Register GET <basePath>/:id/history returning the record's changes, oldest first
+export function registerHistoryRoute(router, { basePath, entityType, resource }) {
+  router.get(`${basePath}/:id/history`, authorize(resource, "read"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { data, error } = await supabase
+        .from("change_history")
+        .select("field_name, old_value, new_value, changed_by, changed_by_name, changed_at")
+        .eq("entity_type", entityType)
+        .eq("entity_id", String(id))
+        .order("changed_at", { ascending: true })
+        .order("id", { ascending: true });
+
+      if (error) throw error;
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+}
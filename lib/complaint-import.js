@@ -0,0 +1,151 @@
+import { supabase } from "../supabase/client.js";
+import { validateComplaint } from "./complaint-schema.js";
+import { fetchAllRows } from "./paged-fetch.js";
+
+// Per-row outcome of a bulk complaint import
+export const IMPORT_STATUSES = {
+  VALID: "valid",
+  DUPLICATE: "duplicate",
+  INVALID: "invalid",
+  INSERTED: "inserted",
+  FAILED: "failed"
+};
+
+// A complaint is a duplicate when invoice, lot, customer and received date all match.
+// Rows without an invoice number are never treated as duplicates.
+const DUPLICATE_KEY_FIELDS = ["invoice_no", "lot_no", "customer_name", "query_received_date"];
+
+function normalise(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+function duplicateKey(row) {
+  if (normalise(row.invoice_no) === "") return null;
+  return DUPLICATE_KEY_FIELDS.map(field => {
+    const value = normalise(row[field]);
+    return field === "query_received_date" ? value.slice(0, 10) : value;
+  }).join("|");
+}
+
+// ilike pattern matching text literally (LIKE wildcards escaped), quoted for an or() filter
+function literalPattern(text, { before = "", after = "" } = {}) {
+  const pattern = `${before}${text.replace(/[\\%_]/g, "\\$&")}${after}`;
+  return `"${pattern.replace(/[\\"]/g, "\\$&")}"`;
+}
+
+// Active complaints sharing an invoice number with the import, keyed by duplicate key.
+// Invoice numbers are matched exactly but case-insensitively, also when stored with surrounding
+// spaces; duplicateKey then narrows the rows to real duplicates.
+async function fetchExistingKeys(table, invoiceNos) {
+  const invoices = [...new Set(invoiceNos.map(normalise).filter(v => v !== ""))];
+  const existing = new Map();
+
+  // Keep each or() list short enough for the request URL
+  for (let i = 0; i < invoices.length; i += 30) {
+    const matches = invoices.slice(i, i + 30).flatMap(invoice => [
+      `invoice_no.ilike.${literalPattern(invoice)}`,
+      `invoice_no.ilike.${literalPattern(invoice, { before: "% " })}`,
+      `invoice_no.ilike.${literalPattern(invoice, { after: " %" })}`
+    ]).join(",");
+    const { data } = await fetchAllRows(table, `id, reference_no, ${DUPLICATE_KEY_FIELDS.join(", ")}`, (query) => query
+      .or(matches)
+      .is("deleted_at", null)
+      .order("id", { ascending: true }));
+    data.forEach(row => {
+      const key = duplicateKey(row);
+      if (key && !existing.has(key)) existing.set(key, { id: row.id, reference_no: row.reference_no });
+    });
+  }
+  return existing;
+}
+
+// Validate every row and flag duplicates of stored complaints or of an earlier row in the
+// same import. Rows keep the status they were exported with (historical complaints are often
+// Closed); it is recorded as their first status transition on insert. Returns [{ row, status, value?, errors?, duplicateOf? }] in input order.
+export async function checkImportRows(table, rows) {
+  const checked = rows.map((payload, index) => {
+    const { value, errors } = validateComplaint(table, payload, { mode: "import" });
+    return errors.length > 0
+      ? { row: index, status: IMPORT_STATUSES.INVALID, errors }
+      : { row: index, status: IMPORT_STATUSES.VALID, value };
+  });
+
+  const valid = checked.filter(result => result.status === IMPORT_STATUSES.VALID);
+  const existing = await fetchExistingKeys(table, valid.map(result => result.value.invoice_no));
+  const seen = new Map();
+
+  valid.forEach(result => {
+    const key = duplicateKey(result.value);
+    if (!key) return;
+
+    if (existing.has(key)) {
+      result.status = IMPORT_STATUSES.DUPLICATE;
+      result.duplicateOf = existing.get(key);
+    } else if (seen.has(key)) {
+      result.status = IMPORT_STATUSES.DUPLICATE;
+      result.duplicateOf = { row: seen.get(key) };
+    } else {
+      seen.set(key, result.row);
+    }
+  });
+
+  return checked;
+}
+
+// Insert the rows still marked valid. The batch is tried first; if the database rejects it,
+// rows are inserted one by one so a single bad row only fails itself.
+// Marks each attempted result inserted (with id) or failed (with error) and returns the stored rows.
+export async function insertAcceptedRows(table, results) {
+  const accepted = results.filter(result => result.status === IMPORT_STATUSES.VALID);
+  if (accepted.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from(table)
+    .insert(accepted.map(result => result.value))
+    .select();
+
+  let inserted = [];
+  if (!error) {
+    inserted = data;
+    accepted.forEach((result, i) => {
+      result.status = IMPORT_STATUSES.INSERTED;
+      result.id = data[i]?.id;
+    });
+  } else {
+    for (const result of accepted) {
+      const { data: row, error: rowError } = await supabase
+        .from(table)
+        .insert([result.value])
+        .select()
+        .single();
+
+      if (rowError) {
+        result.status = IMPORT_STATUSES.FAILED;
+        result.errors = [{ field: null, message: rowError.message }];
+      } else {
+        result.status = IMPORT_STATUSES.INSERTED;
+        result.id = row.id;
+        inserted.push(row);
+      }
+    }
+  }
+
+  return inserted;
+}
+
+// Counts per outcome. Skipped = duplicates; failed = invalid rows plus rejected inserts.
+export function summariseImport(results) {
+  const count = (status) => results.filter(result => result.status === status).length;
+  return {
+    total: results.length,
+    valid: count(IMPORT_STATUSES.VALID),
+    inserted: count(IMPORT_STATUSES.INSERTED),
+    skipped: count(IMPORT_STATUSES.DUPLICATE),
+    failed: count(IMPORT_STATUSES.INVALID) + count(IMPORT_STATUSES.FAILED)
+  };
+}
+
+// Results as returned to the client (without the cleaned row values)
+export function importResults(results) {
+  return results.map(({ value, ...result }) => result);
+}
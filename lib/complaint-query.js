@@ -0,0 +1,44 @@
+import { applyFilters, parseFilters } from "./filters.js";
+import { COMPLAINT_SCHEMAS, READ_ONLY_COLUMNS } from "./complaint-schema.js";
+
+// Shared query helpers for the yarn_complaints and fabric_complaints tables
+
+export const COMPLAINT_TABLES = {
+  Yarn: "yarn_complaints",
+  Fabric: "fabric_complaints"
+};
+
+// Both complaint tables share one schema
+const COMPLAINT_COLUMNS = [...Object.keys(COMPLAINT_SCHEMAS.yarn_complaints), ...READ_ONLY_COLUMNS];
+
+// Tables selected by a division query parameter ("Yarn", "Fabric", or both when absent)
+export function complaintTablesFor(division) {
+  return COMPLAINT_TABLES[division] ? [COMPLAINT_TABLES[division]] : Object.values(COMPLAINT_TABLES);
+}
+
+// Apply the complaint list filters: startDate/endDate on query_received_date and the shared
+// filter grammar (lib/filters.js) for every other parameter. Columns are checked against the
+// complaint schema; a bad filter throws an error with status 400.
+export function applyComplaintFilters(query, { startDate, endDate, ...filters }) {
+  if (startDate) {
+    query = query.gte("query_received_date", startDate);
+  }
+  if (endDate) {
+    query = query.lte("query_received_date", endDate);
+  }
+
+  return applyFilters(query, parseFilters(filters, { columns: COMPLAINT_COLUMNS }));
+}
+
+// Columns matched by the free-text ?q= of the cross-division complaint search
+export const SEARCH_COLUMNS = ["reference_no", "customer_name", "lot_no", "invoice_no", "nature_of_complaint", "remark"];
+
+// Case-insensitive "contains" match of text across SEARCH_COLUMNS
+export function applyComplaintSearch(query, text) {
+  const term = String(text || "").trim();
+  if (!term) return query;
+
+  // Double-quoted so commas and parentheses in the term do not break the or() syntax
+  const pattern = `"%${term.replace(/[\\"]/g, "\\$&")}%"`;
+  return query.or(SEARCH_COLUMNS.map(column => `${column}.ilike.${pattern}`).join(","));
+}
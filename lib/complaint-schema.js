@@ -0,0 +1,145 @@
+import { STATUSES, INITIAL_STATUS, normalizeStatus } from "./complaint-status.js";
+
+// Declared shape of yarn_complaints / fabric_complaints payloads.
+//   type      string | date | number | status
+//   required  must be present and non-empty on create (and cannot be blanked on update)
+//   expected  not enforced on save, but a row missing it counts as "incomplete" in /complaint-stats
+const COMPLAINT_FIELDS = {
+  query_received_date: { type: "date", required: true },
+  complaint_mode: { type: "string" },
+  customer_name: { type: "string", required: true },
+  bill_to_region: { type: "string", expected: true },
+  market: { type: "string", expected: true },
+  unit: { type: "string", expected: true },
+  invoice_no: { type: "string", expected: true },
+  invoice_date: { type: "date", expected: true },
+  lot_no: { type: "string", expected: true },
+  count: { type: "string", expected: true },
+  mfg_date: { type: "date" },
+  mfg_month: { type: "string" },
+  cotton: { type: "string" },
+  complaint_qty: { type: "number" },
+  nature_of_complaint: { type: "string" },
+  analysis_and_outcome: { type: "string" },
+  action_taken: { type: "string" },
+  reply_date: { type: "date" },
+  status: { type: "status", expected: true },
+  remark: { type: "string" }
+};
+
+export const COMPLAINT_SCHEMAS = {
+  yarn_complaints: COMPLAINT_FIELDS,
+  fabric_complaints: COMPLAINT_FIELDS
+};
+
+// Columns maintained by the server; silently dropped from client payloads
+export const READ_ONLY_COLUMNS = ["id", "created_at", "updated_at", "reference_no", "deleted_at", "deleted_by"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+}
+
+// YYYY-MM-DD (optionally with a time) naming a real calendar day; rejects 2026-02-31
+export function isValidDate(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.slice(0, 10).split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+export function stripReadOnly(record) {
+  const cleaned = { ...record };
+  READ_ONLY_COLUMNS.forEach(column => delete cleaned[column]);
+  return cleaned;
+}
+
+// Check one value against its field definition. Returns { value } (possibly coerced) or { message }.
+function checkField(definition, value) {
+  // Blank text stays as sent; blank dates, numbers and statuses are stored as null
+  if (isEmpty(value)) return { value: definition.type === "string" ? value : null };
+
+  switch (definition.type) {
+    case "date": {
+      if (!isValidDate(value)) {
+        return { message: "must be a date in YYYY-MM-DD format" };
+      }
+      return { value };
+    }
+    case "number": {
+      const number = typeof value === "number" ? value : Number(String(value).replace(/,/g, "").trim());
+      if (!Number.isFinite(number)) return { message: "must be a number" };
+      if (number < 0) return { message: "must not be negative" };
+      return { value: number };
+    }
+    case "status": {
+      const status = normalizeStatus(value);
+      if (!status) return { message: `must be one of: ${Object.values(STATUSES).join(", ")}` };
+      return { value: status };
+    }
+    default: {
+      if (typeof value === "object") return { message: "must be text" };
+      return { value: String(value) };
+    }
+  }
+}
+
+// Validate a complaint payload against the table's schema.
+// mode "create" enforces required fields and the initial status; "import" (bulk uploads of
+// historical rows) enforces required fields but keeps any known status, defaulting to the initial
+// one; "update" only checks the fields sent.
+// Returns { value, errors } where errors is a list of { field, message }.
+export function validateComplaint(table, payload, { mode = "create" } = {}) {
+  const schema = COMPLAINT_SCHEMAS[table];
+  const record = stripReadOnly(payload || {});
+  const errors = [];
+  const value = {};
+
+  Object.keys(record).forEach(field => {
+    if (!schema[field]) {
+      errors.push({ field, message: "is not a known column" });
+    }
+  });
+
+  Object.entries(schema).forEach(([field, definition]) => {
+    const provided = Object.prototype.hasOwnProperty.call(record, field);
+    if (!provided) {
+      if (mode !== "update" && definition.required) errors.push({ field, message: "is required" });
+      return;
+    }
+
+    const result = checkField(definition, record[field]);
+    if (result.message) {
+      errors.push({ field, message: result.message });
+    } else if (definition.required && isEmpty(result.value)) {
+      errors.push({ field, message: "is required" });
+    } else if (result.value !== undefined) {
+      value[field] = result.value;
+    }
+  });
+
+  if (mode === "create") {
+    // New complaints always enter the workflow at its first stage
+    if (value.status && value.status !== INITIAL_STATUS) {
+      errors.push({ field: "status", message: `must be '${INITIAL_STATUS}' for a new complaint` });
+    }
+    value.status = INITIAL_STATUS;
+  } else if (mode === "import") {
+    value.status = value.status || INITIAL_STATUS;
+  }
+
+  return { value, errors };
+}
+
+// Required or expected fields that are empty in a stored row
+export function missingFields(table, row) {
+  return Object.entries(COMPLAINT_SCHEMAS[table])
+    .filter(([, definition]) => definition.required || definition.expected)
+    .filter(([field]) => isEmpty(row[field]))
+    .map(([field]) => field);
+}
+
+export function formatValidationErrors(errors) {
+  return errors.map(e => `${e.row !== undefined ? `row ${e.row}: ` : ""}${e.field} ${e.message}`).join("; ");
+}
@@ -0,0 +1,100 @@
+import { supabase } from "../supabase/client.js";
+
+// Complaint lifecycle. A complaint starts as Registered and may only move along TRANSITIONS.
+export const STATUSES = {
+  REGISTERED: "Registered",
+  UNDER_INVESTIGATION: "Under Investigation",
+  ANALYSIS_DONE: "Analysis Done",
+  REPLIED: "Replied",
+  CLOSED: "Closed",
+  REOPENED: "Reopened"
+};
+
+export const INITIAL_STATUS = STATUSES.REGISTERED;
+
+export const TRANSITIONS = {
+  [STATUSES.REGISTERED]: [STATUSES.UNDER_INVESTIGATION],
+  [STATUSES.UNDER_INVESTIGATION]: [STATUSES.ANALYSIS_DONE],
+  [STATUSES.ANALYSIS_DONE]: [STATUSES.REPLIED],
+  [STATUSES.REPLIED]: [STATUSES.CLOSED],
+  [STATUSES.CLOSED]: [STATUSES.REOPENED],
+  [STATUSES.REOPENED]: [STATUSES.UNDER_INVESTIGATION]
+};
+
+// Fields that must be filled in before a complaint can be Closed
+export const CLOSE_REQUIRED_FIELDS = ["analysis_and_outcome", "action_taken", "reply_date"];
+
+// Map any casing/spacing of a status ("under  investigation") to its canonical form, or null
+export function normalizeStatus(status) {
+  if (status === undefined || status === null || status === "") return null;
+  const key = String(status).trim().replace(/\s+/g, " ").toLowerCase();
+  return Object.values(STATUSES).find(s => s.toLowerCase() === key) || null;
+}
+
+function missingCloseFields(record) {
+  return CLOSE_REQUIRED_FIELDS.filter(field => {
+    const value = record[field];
+    return value === null || value === undefined || String(value).trim() === "";
+  });
+}
+
+// Validate an update against the stored complaint. Returns { status } (the resulting status)
+// or { error }.
+export function validateStatusUpdate(before, updates) {
+  const current = normalizeStatus(before.status) || INITIAL_STATUS;
+  let next = current;
+
+  if (updates.status !== undefined) {
+    next = normalizeStatus(updates.status);
+    if (!next) {
+      return { error: `Unknown status '${updates.status}'. Allowed: ${Object.values(STATUSES).join(", ")}` };
+    }
+    if (next !== current && !TRANSITIONS[current].includes(next)) {
+      return {
+        error: `Cannot move a complaint from '${current}' to '${next}'. Allowed next: ${TRANSITIONS[current].join(", ")}`
+      };
+    }
+  }
+
+  // Only checked on the move into Closed; complaints already closed (including legacy rows
+  // migrated without these fields) can still be edited
+  if (next === STATUSES.CLOSED && current !== STATUSES.CLOSED) {
+    const missing = missingCloseFields({ ...before, ...updates });
+    if (missing.length > 0) {
+      return { error: `Cannot close a complaint without: ${missing.join(", ")}` };
+    }
+  }
+
+  return { status: next };
+}
+
+async function insertTransitions(actor, table, transitions) {
+  const changedAt = new Date().toISOString();
+  try {
+    const { error } = await supabase
+      .from("complaint_status_history")
+      .insert(transitions.map(({ complaintId, fromStatus, toStatus }) => ({
+        complaint_table: table,
+        complaint_id: complaintId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_by: actor?.id ?? null,
+        changed_by_name: actor?.full_name ?? null,
+        changed_at: changedAt
+      })));
+    if (error) throw error;
+  } catch (err) {
+    console.error("Failed to record status transition", { table, count: transitions.length }, err);
+  }
+}
+
+// Timestamp a status change in complaint_status_history. fromStatus is null on create.
+export async function recordStatusTransition(actor, table, complaintId, fromStatus, toStatus) {
+  await insertTransitions(actor, table, [{ complaintId, fromStatus, toStatus }]);
+}
+
+// Timestamp the initial status of freshly inserted complaints in one write
+export async function recordInitialStatuses(actor, table, rows) {
+  if (rows.length === 0) return;
+  await insertTransitions(actor, table, rows.map(row => ({ complaintId: row.id, fromStatus: null, toStatus: row.status })));
+}
@@ -0,0 +1,159 @@
+import { supabase } from "../supabase/client.js";
+import { fetchAllRows } from "./paged-fetch.js";
+import { authorize } from "../middleware/auth.js";
+import { rowQuantityKg } from "./quantity.js";
+
+const DISPATCH_COLUMNS = "id, billing_document, billing_date, lot_no, customer_name, bill_to_customer, smpl_count, billed_quantity, billed_quantity_kg, item_description";
+
+// Fields that, when changed on a complaint, require the dispatch link to be re-checked
+export const LINK_FIELDS = ["invoice_no", "lot_no", "customer_name", "count", "complaint_qty"];
+
+function same(a, b) {
+  return String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
+
+// Active dispatch rows for a set of invoice numbers, grouped by billing_document
+export async function fetchDispatchByInvoice(invoiceNos) {
+  const invoices = [...new Set(invoiceNos.filter(v => !isBlank(v)).map(v => String(v).trim()))];
+  const byInvoice = new Map();
+  if (invoices.length === 0) return byInvoice;
+
+  // Keep each IN list short enough for the request URL
+  for (let i = 0; i < invoices.length; i += 200) {
+    const { data } = await fetchAllRows("dispatch_data", DISPATCH_COLUMNS, (query) => query
+      .in("billing_document", invoices.slice(i, i + 200))
+      .or('canceled.is.null,canceled.neq.X')
+      .is("deleted_at", null)
+      .order("id", { ascending: true }));
+    data.forEach(row => {
+      const key = String(row.billing_document);
+      if (!byInvoice.has(key)) byInvoice.set(key, []);
+      byInvoice.get(key).push(row);
+    });
+  }
+  return byInvoice;
+}
+
+// Compare a complaint with the dispatch rows of its invoice.
+// Returns { rows, warnings }: rows are the dispatch rows to link (those of the complaint's lot
+// when it appears on the invoice, otherwise the whole invoice).
+export function matchDispatch(complaint, invoiceRows) {
+  const warnings = [];
+  if (isBlank(complaint.invoice_no)) return { rows: [], warnings };
+
+  if (!invoiceRows || invoiceRows.length === 0) {
+    warnings.push({ field: "invoice_no", message: `Invoice ${complaint.invoice_no} was not found in dispatch data` });
+    return { rows: [], warnings };
+  }
+
+  let rows = invoiceRows;
+  if (!isBlank(complaint.lot_no)) {
+    const lotRows = invoiceRows.filter(r => same(r.lot_no, complaint.lot_no));
+    if (lotRows.length === 0) {
+      warnings.push({ field: "lot_no", message: `Lot ${complaint.lot_no} does not appear on invoice ${complaint.invoice_no}` });
+    } else {
+      rows = lotRows;
+    }
+  }
+
+  if (!isBlank(complaint.customer_name) &&
+      !invoiceRows.some(r => same(r.customer_name, complaint.customer_name) || same(r.bill_to_customer, complaint.customer_name))) {
+    warnings.push({
+      field: "customer_name",
+      message: `Customer ${complaint.customer_name} does not match invoice ${complaint.invoice_no}`
+    });
+  }
+
+  if (!isBlank(complaint.count) && !rows.some(r => same(r.smpl_count, complaint.count))) {
+    warnings.push({ field: "count", message: `Count ${complaint.count} does not match the dispatched count` });
+  }
+
+  if (!isBlank(complaint.complaint_qty)) {
+    const dispatchedKg = rows.reduce((sum, r) => sum + (rowQuantityKg(r) || 0), 0);
+    if (Number(complaint.complaint_qty) > dispatchedKg) {
+      warnings.push({
+        field: "complaint_qty",
+        message: `Complaint quantity ${complaint.complaint_qty} exceeds the ${dispatchedKg} kg dispatched`
+      });
+    }
+  }
+
+  return { rows, warnings };
+}
+
+// Replace the stored dispatch links of the given complaints.
+// links: [{ complaintId, rows }] as produced by matchDispatch.
+export async function saveDispatchLinks(table, links) {
+  const ids = links.map(l => l.complaintId);
+  if (ids.length === 0) return;
+
+  const { error: deleteError } = await supabase
+    .from("complaint_dispatch_links")
+    .delete()
+    .eq("complaint_table", table)
+    .in("complaint_id", ids);
+
+  if (deleteError) throw deleteError;
+
+  const verifiedAt = new Date().toISOString();
+  const inserts = links.flatMap(({ complaintId, rows }) => rows.map(row => ({
+    complaint_table: table,
+    complaint_id: complaintId,
+    dispatch_id: row.id,
+    billing_document: row.billing_document,
+    verified_at: verifiedAt
+  })));
+  if (inserts.length === 0) return;
+
+  const { error } = await supabase
+    .from("complaint_dispatch_links")
+    .insert(inserts);
+
+  if (error) throw error;
+}
+
+// Check and store dispatch links for freshly saved complaints.
+// Returns warnings keyed by complaint id. Link failures are logged, never thrown.
+export async function linkComplaintsToDispatch(table, complaints) {
+  const warningsById = {};
+  try {
+    const byInvoice = await fetchDispatchByInvoice(complaints.map(c => c.invoice_no));
+    const links = complaints.map(complaint => {
+      const { rows, warnings } = matchDispatch(complaint, byInvoice.get(String(complaint.invoice_no ?? "").trim()));
+      if (warnings.length > 0) warningsById[complaint.id] = warnings;
+      return { complaintId: complaint.id, rows };
+    });
+    await saveDispatchLinks(table, links);
+  } catch (err) {
+    console.error("Failed to link complaints to dispatch data", { table }, err);
+  }
+  return warningsById;
+}
+
+// Dispatch rows stored as linked to a complaint, each with its verified_at
+export async function fetchLinkedDispatch(table, complaintId) {
+  const { data, error } = await supabase
+    .from("complaint_dispatch_links")
+    .select(`verified_at, dispatch_data (${DISPATCH_COLUMNS})`)
+    .eq("complaint_table", table)
+    .eq("complaint_id", complaintId);
+
+  if (error) throw error;
+  return data.map(link => ({ ...link.dispatch_data, verified_at: link.verified_at }));
+}
+
+// Register GET <basePath>/:id/dispatch-links returning the dispatch rows linked to a complaint
+export function registerDispatchLinkRoute(router, { basePath, table, resource }) {
+  router.get(`${basePath}/:id/dispatch-links`, authorize(resource, "read"), async (req, res) => {
+    try {
+      const data = await fetchLinkedDispatch(table, req.params.id);
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+}
@@ -0,0 +1,85 @@
+import { fetchAllRows } from "./paged-fetch.js";
+import { rowQuantityKg } from "./quantity.js";
+import { applyFilters, parseTableFilters } from "./filters.js";
+
+export const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Plant mapping: 1101 -> 1 for Yarn, 1201 -> 1201 for Fabric
+export function unitForPlant(plant, division) {
+  const p = parseInt(plant);
+  const mappedPlant = (division === "Yarn") ? (p % 100) : p;
+  return String(mappedPlant);
+}
+
+// "2026-04" for a date, or null when it cannot be parsed
+export function periodOf(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+// Billed MT from dispatch_data aggregated by unit, market, customer, month name, year and
+// period (YYYY-MM). division is "Yarn", "Fabric" or absent for both; other parameters are
+// column filters in the shared filter grammar (lib/filters.js).
+export async function fetchDispatchVolumes({ division, startDate, endDate, ...filters }) {
+  const conditions = await parseTableFilters("dispatch_data", filters);
+
+  const { data } = await fetchAllRows("dispatch_data", "plant, market, billing_date, billed_quantity, billed_quantity_kg, customer_name", (query) => {
+    query = query.is("deleted_at", null).order("id", { ascending: true });
+
+    // Filter by division (YARN or GREY FABRIC)
+    if (division === "Yarn") {
+      query = query.ilike("division_description", "%YARN%");
+    } else if (division === "Fabric") {
+      query = query.ilike("division_description", "%FABRIC%");
+    }
+
+    // Date filters matching complaints selected time frame
+    if (startDate) query = query.gte("billing_date", startDate);
+    if (endDate) query = query.lte("billing_date", endDate);
+
+    // Apply other filters (market, etc.)
+    return applyFilters(query, conditions);
+  });
+
+  const stats = {
+    unit: {},
+    market: {},
+    customer: {},
+    month: {},
+    year: {},
+    period: {},
+    total: 0,
+    // Rows whose billed_quantity could not be read
+    unparsed: 0
+  };
+
+  data.forEach(item => {
+    // 8870 kg -> 8.87 MT
+    const kg = rowQuantityKg(item);
+    if (kg === null) stats.unparsed++;
+    const qtyMT = (kg || 0) / 1000;
+
+    const unit = unitForPlant(item.plant, division);
+    const market = String(item.market || "Unknown");
+    const customer = String(item.customer_name || "Unknown");
+
+    const date = new Date(item.billing_date);
+    if (!isNaN(date.getTime())) {
+      const month = MONTH_NAMES[date.getMonth()];
+      const year = String(date.getFullYear());
+      const period = periodOf(item.billing_date);
+
+      stats.month[month] = (stats.month[month] || 0) + qtyMT;
+      stats.year[year] = (stats.year[year] || 0) + qtyMT;
+      stats.period[period] = (stats.period[period] || 0) + qtyMT;
+    }
+
+    stats.unit[unit] = (stats.unit[unit] || 0) + qtyMT;
+    stats.market[market] = (stats.market[market] || 0) + qtyMT;
+    stats.customer[customer] = (stats.customer[customer] || 0) + qtyMT;
+    stats.total += qtyMT;
+  });
+
+  return stats;
+}
@@ -0,0 +1,128 @@
+import { supabase } from "../supabase/client.js";
+import { COMPLAINT_SCHEMAS, READ_ONLY_COLUMNS } from "./complaint-schema.js";
+
+// Query-string filter grammar shared by the list, unique-value and statistics endpoints:
+//   column=value            equals (a,b,c -> any of)
+//   column[neq]=value       not equal
+//   column[gt|gte|lt|lte]=v greater / less than (numbers, dates, text)
+//   column[like]=text       case-insensitive contains; * is a wildcard when given
+//   column[in]=a,b          any of
+//   column[nin]=a,b         none of (rows where the column is null are excluded as well)
+//   column[is]=null         also notnull, empty (null or ""), true, false
+export const FILTER_OPERATORS = ["eq", "neq", "gt", "gte", "lt", "lte", "like", "in", "nin", "is"];
+
+const IS_VALUES = ["null", "notnull", "empty", "true", "false"];
+
+const KEY_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)(?:\[([A-Za-z]+)\])?$/;
+
+// Sampled table columns are cached this long
+const COLUMN_CACHE_MS = 5 * 60 * 1000;
+const columnCache = new Map();
+
+function filterError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function splitList(value) {
+  return String(value).split(",").map(v => v.trim());
+}
+
+function quoted(value) {
+  return `"${String(value).replace(/[\\"]/g, "\\$&")}"`;
+}
+
+// Column names of a table: declared schema for complaints, otherwise the keys of a sample row.
+// Returns null when they cannot be determined (empty table).
+export async function tableColumns(table) {
+  if (COMPLAINT_SCHEMAS[table]) {
+    return [...Object.keys(COMPLAINT_SCHEMAS[table]), ...READ_ONLY_COLUMNS];
+  }
+
+  const cached = columnCache.get(table);
+  if (cached && cached.expiresAt > Date.now()) return cached.columns;
+
+  const { data, error } = await supabase
+    .from(table)
+    .select("*")
+    .limit(1);
+
+  if (error) throw error;
+  const columns = data.length > 0 ? Object.keys(data[0]) : null;
+  if (columns) columnCache.set(table, { columns, expiresAt: Date.now() + COLUMN_CACHE_MS });
+  return columns;
+}
+
+// Turn query parameters into [{ column, operator, value }]. Blank values are ignored, as before.
+// When columns is given, filters on any other column are rejected.
+// Throws an error with status 400 on unknown operators, columns or [is] values.
+export function parseFilters(params, { columns } = {}) {
+  const conditions = [];
+
+  Object.entries(params).forEach(([key, rawValue]) => {
+    const match = KEY_PATTERN.exec(key);
+    if (!match) throw filterError(`Invalid filter '${key}'`);
+
+    const [, column, operator = "eq"] = match;
+    if (!FILTER_OPERATORS.includes(operator)) {
+      throw filterError(`Unknown filter operator '${operator}' on '${column}'. Allowed: ${FILTER_OPERATORS.join(", ")}`);
+    }
+
+    // Repeated parameters (?a[neq]=x&a[neq]=y) arrive as arrays
+    const values = Array.isArray(rawValue) ? rawValue : [rawValue];
+    values.forEach(value => {
+      if (value === undefined || value === null || value === "") return;
+
+      if (columns && !columns.includes(column)) {
+        throw filterError(`Unknown filter column '${column}'`);
+      }
+      if (operator === "is" && !IS_VALUES.includes(String(value).toLowerCase())) {
+        throw filterError(`'${column}[is]' must be one of: ${IS_VALUES.join(", ")}`);
+      }
+      conditions.push({ column, operator, value: String(value) });
+    });
+  });
+
+  return conditions;
+}
+
+// parseFilters against the columns of a table
+export async function parseTableFilters(table, params) {
+  return parseFilters(params, { columns: await tableColumns(table) });
+}
+
+export function applyFilters(query, conditions) {
+  conditions.forEach(({ column, operator, value }) => {
+    switch (operator) {
+      case "eq": {
+        const values = splitList(value);
+        query = values.length > 1 ? query.in(column, values) : query.eq(column, value);
+        break;
+      }
+      case "in":
+        query = query.in(column, splitList(value));
+        break;
+      case "nin":
+        query = query.not(column, "in", `(${splitList(value).map(quoted).join(",")})`);
+        break;
+      case "like": {
+        const pattern = value.includes("*") ? value.replace(/\*/g, "%") : `%${value}%`;
+        query = query.ilike(column, pattern);
+        break;
+      }
+      case "is": {
+        const target = value.toLowerCase();
+        if (target === "null") query = query.is(column, null);
+        else if (target === "notnull") query = query.not(column, "is", null);
+        else if (target === "empty") query = query.or(`${column}.is.null,${column}.eq.""`);
+        else query = query.is(column, target === "true");
+        break;
+      }
+      default:
+        // neq, gt, gte, lt, lte map directly onto the query builder
+        query = query[operator](column, value);
+    }
+  });
+  return query;
+}
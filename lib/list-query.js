@@ -0,0 +1,186 @@
+import { supabase } from "../supabase/client.js";
+import { fetchAllRows, LIST_MAX_ROWS, PAGE_SIZE } from "./paged-fetch.js";
+import { tableColumns } from "./filters.js";
+
+// One row beyond the page is fetched to detect a next page, so a page stays under the row cap
+export const MAX_LIMIT = PAGE_SIZE - 1;
+
+const COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function listError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// "billing_date:desc,lot_no" or "-billing_date,lot_no" -> [{ column, ascending }]
+function parseSort(value) {
+  return String(value).split(",").map(part => part.trim()).filter(Boolean).map(part => {
+    let [column, direction = "asc"] = part.split(":");
+    if (column.startsWith("-")) {
+      column = column.slice(1);
+      direction = "desc";
+    }
+    direction = direction.toLowerCase();
+    if (!COLUMN_PATTERN.test(column)) throw listError(`Invalid sort column '${column}'`);
+    if (direction !== "asc" && direction !== "desc") throw listError(`Invalid sort direction '${direction}'`);
+    return { column, ascending: direction === "asc" };
+  });
+}
+
+// Split req.query into list options and the remaining column filters. limit, page, cursor,
+// sort and fields are reserved and never treated as column filters.
+//   limit   page size (1..MAX_LIMIT); without it the whole result (up to LIST_MAX_ROWS) is returned
+//   page    1-based page number, used with limit
+//   cursor  nextCursor from the previous response, used with limit instead of page
+//   sort    comma-separated columns, each "column", "column:desc" or "-column"
+//   fields  comma-separated columns to return
+// Throws an error with status 400 on malformed values.
+export function parseListParams(query, { defaultSort }) {
+  const { limit, page, cursor, sort, fields, ...filters } = query;
+  const options = { sort: parseSort(sort || defaultSort) };
+
+  if (!options.sort.some(s => s.column === "id")) {
+    // id breaks ties so pages and cursors are stable
+    options.sort.push({ column: "id", ascending: options.sort[options.sort.length - 1].ascending });
+  }
+
+  if (limit !== undefined) {
+    options.limit = parseInt(limit);
+    if (!(options.limit >= 1 && options.limit <= MAX_LIMIT)) {
+      throw listError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+  }
+  if (page !== undefined) {
+    options.page = parseInt(page);
+    if (!(options.page >= 1)) throw listError("page must be 1 or more");
+  }
+  if (cursor) {
+    if (options.page) throw listError("Use either page or cursor, not both");
+    options.cursor = cursor;
+  }
+  if ((options.page || options.cursor) && !options.limit) {
+    throw listError("page and cursor require limit");
+  }
+
+  if (fields) {
+    options.fields = String(fields).split(",").map(f => f.trim()).filter(Boolean);
+    const invalid = options.fields.filter(f => !COLUMN_PATTERN.test(f));
+    if (invalid.length > 0) throw listError(`Invalid fields: ${invalid.join(", ")}`);
+  }
+
+  return { options, filters };
+}
+
+// Reject sort and fields columns the table does not have. columns is null when unknown (empty table).
+export function checkListColumns(options, columns) {
+  if (!columns) return;
+
+  const unknownSort = options.sort.map(s => s.column).filter(column => !columns.includes(column));
+  if (unknownSort.length > 0) throw listError(`Unknown sort column: ${unknownSort.join(", ")}`);
+
+  const unknownFields = (options.fields || []).filter(field => !columns.includes(field));
+  if (unknownFields.length > 0) throw listError(`Unknown fields: ${unknownFields.join(", ")}`);
+}
+
+function sortSignature(sort) {
+  return sort.map(s => `${s.column}:${s.ascending ? "asc" : "desc"}`).join(",");
+}
+
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ s: sortSignature(sort), v: sort.map(s => row[s.column] ?? null) })).toString("base64url");
+}
+
+function decodeCursor(sort, cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw listError("Invalid cursor");
+  }
+  if (!decoded || decoded.s !== sortSignature(sort) || !Array.isArray(decoded.v)) {
+    throw listError("Cursor does not match the requested sort");
+  }
+  return decoded.v;
+}
+
+function literal(value) {
+  return `"${String(value).replace(/[\\"]/g, "\\$&")}"`;
+}
+
+// PostgREST filter for "rows after the cursor" under the given sort (nulls sort last):
+// (a after x) or (a = x and b after y) or ...
+function keysetFilter(sort, values) {
+  const branches = [];
+  sort.forEach(({ column, ascending }, i) => {
+    const value = values[i];
+    // Nothing sorts after null in this column
+    if (value === null) return;
+
+    const after = `or(${column}.${ascending ? "gt" : "lt"}.${literal(value)},${column}.is.null)`;
+    const equalBefore = sort.slice(0, i).map(({ column: c }, j) => (values[j] === null ? `${c}.is.null` : `${c}.eq.${literal(values[j])}`));
+    branches.push(equalBefore.length > 0 ? `and(${[...equalBefore, after].join(",")})` : after);
+  });
+  return branches.join(",");
+}
+
+function applySort(query, sort) {
+  sort.forEach(({ column, ascending }) => {
+    query = query.order(column, { ascending, nullsFirst: false });
+  });
+  return query;
+}
+
+// Fetch one page of a list. applyFilters adds the endpoint's filters to a query.
+// Returns { data, total, truncated?, limit?, page?, nextCursor? }.
+// Throws an error with status 400 when sort or fields name a column the table does not have.
+export async function fetchListPage(table, applyFilters, options) {
+  checkListColumns(options, await tableColumns(table));
+
+  const { sort, limit, page, cursor, fields } = options;
+  // Sort columns are always selected so the next cursor can be built
+  const columns = fields ? [...new Set([...fields, ...sort.map(s => s.column)])].join(", ") : "*";
+
+  if (!limit) {
+    return fetchAllRows(table, columns, (query) => applySort(applyFilters(query), sort), { maxRows: LIST_MAX_ROWS });
+  }
+
+  if (cursor) {
+    const values = decodeCursor(sort, cursor);
+    const filter = keysetFilter(sort, values);
+
+    let query = applyFilters(supabase.from(table).select(columns));
+    if (filter) query = query.or(filter);
+    const countQuery = applyFilters(supabase.from(table).select("id", { count: "exact", head: true }));
+
+    const [{ data, error }, { count, error: countError }] = await Promise.all([
+      filter ? applySort(query, sort).range(0, limit) : Promise.resolve({ data: [], error: null }),
+      countQuery
+    ]);
+    if (error) throw error;
+    if (countError) throw countError;
+
+    const rows = data.slice(0, limit);
+    return {
+      data: rows,
+      total: count,
+      limit,
+      nextCursor: data.length > limit ? encodeCursor(sort, rows[rows.length - 1]) : null
+    };
+  }
+
+  const pageNo = page || 1;
+  const from = (pageNo - 1) * limit;
+  const { data, count, error } = await applySort(applyFilters(supabase.from(table).select(columns, { count: "exact" })), sort)
+    .range(from, from + limit);
+  if (error) throw error;
+
+  const rows = data.slice(0, limit);
+  return {
+    data: rows,
+    total: count,
+    limit,
+    page: pageNo,
+    nextCursor: data.length > limit ? encodeCursor(sort, rows[rows.length - 1]) : null
+  };
+}
@@ -0,0 +1,142 @@
+// Brute-force protection for POST /login and the other password checks.
+// Attempts are counted per account name and per client IP. Each attempt is recorded before the
+// password is checked, so concurrent requests cannot all slip past the limit; a success or a
+// server error takes it back off. After a few free attempts each further one adds an
+// exponentially growing delay, and enough of them lock the key out.
+// State lives in a pluggable store; the default keeps it in process memory.
+
+const WINDOW_MS = Number(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60 * 1000;
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_MS = 30 * 1000;
+
+const LIMITS = {
+  name: Number(process.env.LOGIN_MAX_FAILURES_PER_NAME) || 10,
+  ip: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 30
+};
+
+// Store adapter: get, delete and an atomic read-modify-write of JSON-serialisable values with a TTL.
+// update(key, updater) passes the current value (or null) to updater, which returns
+// { value, ttlMs } to store, or { value: null } to remove the key.
+// A shared store (Redis, a database table) has to make update atomic, e.g. with a transaction.
+export function createMemoryStore({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+    async update(key, updater) {
+      const { value, ttlMs } = updater(read(key));
+      if (value === null || value === undefined) entries.delete(key);
+      else entries.set(key, { value, expiresAt: now() + ttlMs });
+      return value ?? null;
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+function nameKey(fullName) {
+  return `name:${String(fullName || "").trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip || "unknown"}`;
+}
+
+export function createLoginThrottle({ now = Date.now, store = createMemoryStore({ now }) } = {}) {
+  const keysFor = (fullName, ip) => [[nameKey(fullName), LIMITS.name, "account"], [ipKey(ip), LIMITS.ip, "address"]];
+
+  // Records hold { failures, lastAt }; the block always runs from the latest attempt
+  const lockedUntil = (record, limit) => (record && record.failures >= limit ? record.lastAt + LOCKOUT_MS : 0);
+  const blockedUntil = (record, limit) => {
+    if (!record) return 0;
+    if (record.failures >= limit) return lockedUntil(record, limit);
+    if (record.failures > FREE_ATTEMPTS) {
+      return record.lastAt + Math.min(1000 * 2 ** (record.failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+    }
+    return 0;
+  };
+  const stored = (record, limit) => ({ value: record, ttlMs: Math.max(WINDOW_MS, blockedUntil(record, limit) - now()) });
+
+  // Count an attempt against a key unless it is blocked. Resolves to the blocking record or null.
+  const take = async (key, limit) => {
+    let blocked = null;
+    await store.update(key, (record) => {
+      if (blockedUntil(record, limit) > now()) {
+        blocked = record;
+        return stored(record, limit);
+      }
+      return stored({ failures: (record?.failures || 0) + 1, lastAt: now() }, limit);
+    });
+    return blocked;
+  };
+
+  // Take back one counted attempt; decay also halves what remains
+  const giveBack = (key, limit, { decay = false } = {}) => store.update(key, (record) => {
+    if (!record) return { value: null };
+    let failures = Math.max(record.failures - 1, 0);
+    if (decay) failures = Math.floor(failures / 2);
+    return failures > 0 ? stored({ ...record, failures }, limit) : { value: null };
+  });
+
+  return {
+    // Count a password attempt before it is checked.
+    // Resolves to { allowed: false, reason, retryAfterSeconds } when the name or address is blocked,
+    // otherwise { allowed: true, succeed(), cancel() }. Without either call the attempt stays
+    // counted as a failure; succeed() clears the name and decays the address, cancel() takes
+    // the attempt back (use it when the password could not be checked at all).
+    async begin(fullName, ip) {
+      const taken = [];
+      for (const [key, limit, scope] of keysFor(fullName, ip)) {
+        const record = await take(key, limit);
+        if (record) {
+          // The earlier key already counted this refused attempt
+          for (const [takenKey, takenLimit] of taken) await giveBack(takenKey, takenLimit);
+          const until = blockedUntil(record, limit);
+          return {
+            allowed: false,
+            reason: lockedUntil(record, limit) > now() ? `${scope}_locked` : `${scope}_throttled`,
+            retryAfterSeconds: Math.ceil((until - now()) / 1000)
+          };
+        }
+        taken.push([key, limit]);
+      }
+
+      let settled = false;
+      return {
+        allowed: true,
+        async succeed() {
+          if (settled) return;
+          settled = true;
+          await store.delete(nameKey(fullName));
+          await giveBack(ipKey(ip), LIMITS.ip, { decay: true });
+        },
+        async cancel() {
+          if (settled) return;
+          settled = true;
+          for (const [key, limit] of taken) await giveBack(key, limit);
+        }
+      };
+    },
+
+    async unlock({ fullName, ip } = {}) {
+      if (fullName) await store.delete(nameKey(fullName));
+      if (ip) await store.delete(ipKey(ip));
+    }
+  };
+}
+
+export const loginThrottle = createLoginThrottle();
@@ -0,0 +1,38 @@
+import { supabase } from "../supabase/client.js";
+
+// Rows returned per request. Must not exceed the API's "Max rows" setting (1000 by default),
+// otherwise a short page would be mistaken for the last one.
+export const PAGE_SIZE = Number(process.env.SUPABASE_PAGE_SIZE) || 1000;
+
+// Upper bound on rows returned by list endpoints; larger result sets come back truncated
+export const LIST_MAX_ROWS = Number(process.env.LIST_MAX_ROWS) || 20000;
+
+// Fetch the complete result of a select by walking it with range requests instead of
+// stopping at the API's row cap. applyQuery adds filters and ordering to each page's query
+// (order by a unique column so pages do not overlap). With maxRows set, at most that many
+// rows are fetched and the exact total is counted.
+// Returns { data, total, truncated }.
+export async function fetchAllRows(table, columns, applyQuery = (query) => query, { maxRows = Infinity } = {}) {
+  const rows = [];
+  let total = null;
+
+  for (let from = 0; from < maxRows; from += PAGE_SIZE) {
+    const to = Math.min(from + PAGE_SIZE, maxRows) - 1;
+    const countOptions = from === 0 && maxRows !== Infinity ? { count: "exact" } : undefined;
+
+    const { data, count, error } = await applyQuery(supabase.from(table).select(columns, countOptions))
+      .range(from, to);
+
+    if (error) throw error;
+    if (from === 0 && typeof count === "number") total = count;
+
+    rows.push(...data);
+    if (data.length < to - from + 1) break;
+  }
+
+  return {
+    data: rows,
+    total: total ?? rows.length,
+    truncated: total !== null && rows.length < total
+  };
+}
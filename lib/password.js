@@ -0,0 +1,49 @@
+import crypto from "crypto";
+
+// scrypt parameters; stored alongside each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const HASH_PREFIX = "scrypt";
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+function scrypt(password, salt, keyLength, options) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, options, (err, derivedKey) => {
+      if (err) reject(err);
+      else resolve(derivedKey);
+    });
+  });
+}
+
+// Format: scrypt$N$r$p$<salt base64>$<hash base64>
+export function isPasswordHash(value) {
+  return typeof value === "string" && value.startsWith(`${HASH_PREFIX}$`) && value.split("$").length === 6;
+}
+
+export async function hashPassword(password) {
+  if (typeof password !== "string" || password.length === 0) {
+    throw new Error("Password must be a non-empty string");
+  }
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return [HASH_PREFIX, SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || !isPasswordHash(stored)) return false;
+
+  const [, n, r, p, saltB64, hashB64] = stored.split("$");
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = await scrypt(password, Buffer.from(saltB64, "base64"), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
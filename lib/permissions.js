@@ -0,0 +1,103 @@
+// Role-based permission matrix. login_details.role values are normalised
+// ("QA Engineer" -> "qa_engineer") before being looked up here.
+export const ROLES = {
+  ADMIN: "admin",
+  QA_ENGINEER: "qa_engineer",
+  DISPATCH_CLERK: "dispatch_clerk",
+  VIEWER: "viewer"
+};
+
+const { ADMIN, QA_ENGINEER, DISPATCH_CLERK, VIEWER } = ROLES;
+const ALL_ROLES = [ADMIN, QA_ENGINEER, DISPATCH_CLERK, VIEWER];
+
+export const PERMISSIONS = {
+  complaints: {
+    read: ALL_ROLES,
+    create: [ADMIN, QA_ENGINEER],
+    update: [ADMIN, QA_ENGINEER],
+    delete: [ADMIN]
+  },
+  dispatch: {
+    read: ALL_ROLES,
+    create: [ADMIN, DISPATCH_CLERK],
+    update: [ADMIN, DISPATCH_CLERK],
+    delete: [ADMIN]
+  },
+  masters: {
+    read: ALL_ROLES,
+    create: [ADMIN, DISPATCH_CLERK],
+    update: [ADMIN, QA_ENGINEER, DISPATCH_CLERK],
+    delete: [ADMIN]
+  },
+  cotton: {
+    read: ALL_ROLES,
+    create: [ADMIN, QA_ENGINEER],
+    update: [ADMIN, QA_ENGINEER],
+    delete: [ADMIN, QA_ENGINEER]
+  },
+  yarn_realization: {
+    read: ALL_ROLES,
+    create: [ADMIN, QA_ENGINEER],
+    update: [ADMIN, QA_ENGINEER],
+    delete: [ADMIN]
+  },
+  // Saved table layouts are per-screen UI preferences
+  layouts: {
+    read: ALL_ROLES,
+    create: ALL_ROLES,
+    update: ALL_ROLES,
+    delete: ALL_ROLES
+  },
+  stuffing: {
+    read: ALL_ROLES
+  },
+  users: {
+    read: [ADMIN],
+    create: [ADMIN],
+    update: [ADMIN],
+    delete: [ADMIN]
+  },
+  audit: {
+    read: [ADMIN]
+  },
+  system: {
+    update: [ADMIN]
+  }
+};
+
+// Resource guarding each table reachable through the generic /table-columns,
+// /unique-values, /available-years and /max-date endpoints. Tables not listed are refused.
+export const TABLE_RESOURCES = {
+  yarn_complaints: "complaints",
+  fabric_complaints: "complaints",
+  dispatch_data: "dispatch",
+  dispatch_results: "dispatch",
+  count_master: "masters",
+  market_master: "masters",
+  customer_master: "masters",
+  cotton_groups: "cotton",
+  cotton_planning: "cotton",
+  cotton_planning_blend: "cotton",
+  yarn_realization: "yarn_realization",
+  table_layouts: "layouts"
+};
+
+export function normalizeRole(role) {
+  return String(role || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+export function can(role, resource, action) {
+  const allowed = PERMISSIONS[resource]?.[action];
+  return Boolean(allowed && allowed.includes(normalizeRole(role)));
+}
+
+// Flattened { resource: [actions] } view of what a role may do
+export function permissionsFor(role) {
+  const normalized = normalizeRole(role);
+  const result = {};
+  Object.entries(PERMISSIONS).forEach(([resource, actions]) => {
+    const allowed = Object.keys(actions).filter(action => actions[action].includes(normalized));
+    if (allowed.length > 0) result[resource] = allowed;
+  });
+  return result;
+}
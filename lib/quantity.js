@@ -0,0 +1,57 @@
+// Billed quantities arrive from dispatch exports as text like "8,870 KG". They are stored both
+// as sent (billed_quantity) and as a number of kg (billed_quantity_kg) with the unit that was
+// given (billed_quantity_unit).
+
+// Accepted unit spellings -> canonical unit and its size in kg
+const UNITS = {
+  KG: { factor: 1, names: ["kg", "kgs", "kilo", "kilos", "kilogram", "kilograms"] },
+  G: { factor: 0.001, names: ["g", "gm", "gms", "gram", "grams"] },
+  MT: { factor: 1000, names: ["mt", "mts", "t", "ton", "tons", "tonne", "tonnes"] },
+  QTL: { factor: 100, names: ["q", "qtl", "qtls", "quintal", "quintals"] },
+  LB: { factor: 0.45359237, names: ["lb", "lbs", "pound", "pounds"] }
+};
+
+const UNIT_BY_NAME = new Map(
+  Object.entries(UNITS).flatMap(([unit, { names }]) => names.map(name => [name, unit]))
+);
+
+// Number with optional thousands separators (8,870 or 1,00,000) and a trailing unit
+const QUANTITY_PATTERN = /^([+-]?(?:\d[\d,]*(?:\.\d+)?|\.\d+))\s*([A-Za-z]+)?\.?$/;
+
+// Parse a billed quantity into { kg, unit }. A bare number is taken as kg.
+// Returns null for blank or unreadable values.
+export function parseQuantity(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? { kg: value, unit: "KG" } : null;
+  }
+
+  const match = QUANTITY_PATTERN.exec(String(value ?? "").trim());
+  if (!match) return null;
+
+  const amount = parseFloat(match[1].replace(/,/g, ""));
+  const unit = match[2] ? UNIT_BY_NAME.get(match[2].toLowerCase()) : "KG";
+  if (!Number.isFinite(amount) || !unit) return null;
+
+  // Round away floating-point noise from unit conversion (gram precision)
+  return { kg: Math.round(amount * UNITS[unit].factor * 1000) / 1000, unit };
+}
+
+// Fill billed_quantity_kg / billed_quantity_unit of a dispatch row from its billed_quantity.
+// Returns { value } or { error } when the quantity is missing or cannot be read.
+export function withParsedQuantity(entry) {
+  const { billed_quantity_kg, billed_quantity_unit, ...rest } = entry;
+  const parsed = parseQuantity(rest.billed_quantity);
+  if (!parsed) {
+    return { error: `billed_quantity '${rest.billed_quantity ?? ""}' is not a readable quantity` };
+  }
+  return { value: { ...rest, billed_quantity_kg: parsed.kg, billed_quantity_unit: parsed.unit } };
+}
+
+// Quantity of a stored dispatch row in kg. Rows written before billed_quantity_kg existed (and not
+// yet back-filled) fall back to parsing billed_quantity. Returns null when neither is readable.
+export function rowQuantityKg(row) {
+  if (row.billed_quantity_kg !== null && row.billed_quantity_kg !== undefined) {
+    return Number(row.billed_quantity_kg);
+  }
+  return parseQuantity(row.billed_quantity)?.kg ?? null;
+}
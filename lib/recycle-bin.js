@@ -0,0 +1,119 @@
+import { supabase } from "../supabase/client.js";
+import { recordAudit } from "./audit.js";
+import { authorize } from "../middleware/auth.js";
+
+// Tables whose rows are soft-deleted (deleted_at / deleted_by columns)
+export const SOFT_DELETE_TABLES = ["yarn_complaints", "fabric_complaints", "dispatch_data", "cotton_planning", "table_layouts"];
+
+// Days a soft-deleted row must stay in the recycle bin before it can be purged
+// (RECYCLE_BIN_RETENTION_DAYS; blank, non-numeric or negative values fall back to 30)
+const configuredRetention = Number(process.env.RECYCLE_BIN_RETENTION_DAYS);
+export const RETENTION_DAYS = process.env.RECYCLE_BIN_RETENTION_DAYS?.trim() && Number.isFinite(configuredRetention) && configuredRetention >= 0
+  ? configuredRetention
+  : 30;
+
+function purgeableAt(row) {
+  return new Date(new Date(row.deleted_at).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Mark a row as deleted instead of removing it. Returns false when the row does not exist
+// or is already in the recycle bin.
+export async function softDelete(table, id, actor) {
+  const { data, error } = await supabase
+    .from(table)
+    .update({ deleted_at: new Date().toISOString(), deleted_by: actor?.full_name ?? null })
+    .eq("id", id)
+    .is("deleted_at", null)
+    .select("id");
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+// Register recycle-bin endpoints for a soft-deletable table:
+//   GET    <basePath>/recycle-bin    deleted rows, most recently deleted first
+//   POST   <basePath>/:id/restore    clear the deleted marker
+//   DELETE <basePath>/:id/purge      remove permanently, once the retention period has passed
+// beforePurge(id) runs before the row is removed, e.g. to delete dependent rows.
+export function registerRecycleBin(router, { basePath, table, resource, beforePurge }) {
+  router.get(`${basePath}/recycle-bin`, authorize(resource, "read"), async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from(table)
+        .select("*")
+        .not("deleted_at", "is", null)
+        .order("deleted_at", { ascending: false });
+
+      if (error) throw error;
+
+      const rows = data.map(row => ({
+        ...row,
+        purgeable_at: purgeableAt(row).toISOString()
+      }));
+      res.json({ success: true, data: rows, retentionDays: RETENTION_DAYS });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.post(`${basePath}/:id/restore`, authorize(resource, "delete"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { data, error } = await supabase
+        .from(table)
+        .update({ deleted_at: null, deleted_by: null })
+        .eq("id", id)
+        .not("deleted_at", "is", null)
+        .select();
+
+      if (error) throw error;
+      if (data.length === 0) {
+        return res.status(404).json({ success: false, error: "Record is not in the recycle bin" });
+      }
+
+      await recordAudit(req.user, { action: "restore", entityType: table, entityId: id });
+      res.json({ success: true, data: data[0] });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.delete(`${basePath}/:id/purge`, authorize(resource, "delete"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { data: row, error: fetchError } = await supabase
+        .from(table)
+        .select("*")
+        .eq("id", id)
+        .not("deleted_at", "is", null)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+      if (!row) {
+        return res.status(404).json({ success: false, error: "Record is not in the recycle bin" });
+      }
+
+      const availableAt = purgeableAt(row);
+      if (availableAt > new Date()) {
+        return res.status(409).json({
+          success: false,
+          error: `Record can only be purged ${RETENTION_DAYS} days after deletion (from ${availableAt.toISOString()})`
+        });
+      }
+
+      if (beforePurge) await beforePurge(id);
+
+      const { error } = await supabase
+        .from(table)
+        .delete()
+        .eq("id", id);
+
+      if (error) throw error;
+
+      await recordAudit(req.user, { action: "purge", entityType: table, entityId: id, payload: row });
+      res.json({ success: true, message: "Record permanently deleted" });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+}
@@ -0,0 +1,346 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import PDFDocument from "pdfkit";
+import { supabase } from "../supabase/client.js";
+import { storage } from "./storage/index.js";
+import { recordAudit } from "./audit.js";
+import { fetchLinkedDispatch } from "./dispatch-links.js";
+import { COMPLAINT_SCHEMAS } from "./complaint-schema.js";
+import { MONTH_NAMES } from "./dispatch-volume.js";
+import { authorize } from "../middleware/auth.js";
+
+// Letter layout and wording. Every string may use {{column}} placeholders from the complaint,
+// plus letter_date, signed_by and division_name. Override with REPLY_LETTER_TEMPLATE.
+const TEMPLATE_PATH = process.env.REPLY_LETTER_TEMPLATE || new URL("../templates/reply-letter.json", import.meta.url);
+
+export const LETTER_FORMATS = {
+  html: "text/html; charset=utf-8",
+  pdf: "application/pdf"
+};
+
+const LETTER_COLUMNS = "id, complaint_table, complaint_id, format, file_name, size_bytes, generated_by_name, created_at";
+
+const DISPATCH_TABLE = [
+  { label: "Invoice", key: "billing_document" },
+  { label: "Billing date", key: "billing_date", date: true },
+  { label: "Lot", key: "lot_no" },
+  { label: "Count", key: "smpl_count" },
+  { label: "Item", key: "item_description" },
+  { label: "Quantity", key: "billed_quantity" }
+];
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  return `${String(date.getUTCDate()).padStart(2, "0")} ${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+async function loadTemplate() {
+  return JSON.parse(await fs.readFile(TEMPLATE_PATH, "utf8"));
+}
+
+// Placeholder values for a complaint; dates are written as "18 Oct 2026" and blanks as "-"
+function letterValues(table, complaint, actor) {
+  const fields = COMPLAINT_SCHEMAS[table];
+  const values = {};
+  Object.entries(complaint).forEach(([column, value]) => {
+    if (isBlank(value)) values[column] = "-";
+    else values[column] = fields[column]?.type === "date" ? formatDate(value) : String(value);
+  });
+  values.letter_date = formatDate(new Date());
+  values.signed_by = actor.full_name || "-";
+  values.division_name = table === "yarn_complaints" ? "yarn" : "fabric";
+  return values;
+}
+
+function fill(text, values) {
+  return String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? "-");
+}
+
+// Resolve the template into plain text blocks shared by the HTML and PDF renderers
+export function buildLetter(template, table, complaint, dispatchRows, actor) {
+  const values = letterValues(table, complaint, actor);
+  const lines = (list) => (list || []).map(line => fill(line, values)).filter(line => line.trim() !== "" && line !== "-");
+
+  return {
+    letterhead: lines(template.letterhead),
+    title: fill(template.title, values),
+    reference: fill(template.reference, values),
+    date: fill(template.date, values),
+    recipient: lines(template.recipient),
+    subject: fill(template.subject, values),
+    salutation: fill(template.salutation, values),
+    paragraphs: lines(template.paragraphs),
+    dispatchHeading: fill(template.dispatchHeading, values),
+    dispatch: dispatchRows.map(row => DISPATCH_TABLE.map(({ key, date }) => {
+      if (isBlank(row[key])) return "-";
+      return date ? formatDate(row[key]) : String(row[key]);
+    })),
+    closing: fill(template.closing, values),
+    signature: lines(template.signature)
+  };
+}
+
+export function renderLetterHtml(letter) {
+  const block = (list) => list.map(line => escapeHtml(line)).join("<br>");
+  const dispatch = letter.dispatch.length === 0 ? "" : `
+  <h3>${escapeHtml(letter.dispatchHeading)}</h3>
+  <table>
+    <tr>${DISPATCH_TABLE.map(c => `<th>${escapeHtml(c.label)}</th>`).join("")}</tr>
+    ${letter.dispatch.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("\n    ")}
+  </table>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(letter.title)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 11pt; margin: 40px; }
+    .letterhead { text-align: center; font-weight: bold; font-size: 14pt; }
+    .meta { display: flex; justify-content: space-between; margin: 24px 0; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; font-size: 10pt; }
+  </style>
+</head>
+<body>
+  <div class="letterhead">${block(letter.letterhead)}</div>
+  <div class="meta"><span>${escapeHtml(letter.reference)}</span><span>${escapeHtml(letter.date)}</span></div>
+  <p>${block(letter.recipient)}</p>
+  <p><strong>${escapeHtml(letter.subject)}</strong></p>
+  <p>${escapeHtml(letter.salutation)}</p>
+  ${letter.paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join("\n  ")}${dispatch}
+  <p>${escapeHtml(letter.closing)}</p>
+  <p>${block(letter.signature)}</p>
+</body>
+</html>
+`;
+}
+
+export function renderLetterPdf(letter) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const width = doc.page.width - 100;
+
+    doc.font("Helvetica-Bold").fontSize(14);
+    letter.letterhead.forEach(line => doc.text(line, { align: "center" }));
+    doc.moveDown();
+
+    doc.font("Helvetica").fontSize(11);
+    const metaY = doc.y;
+    doc.text(letter.reference, 50, metaY);
+    doc.text(letter.date, 50, metaY, { width, align: "right" });
+    doc.moveDown();
+
+    letter.recipient.forEach(line => doc.text(line, 50));
+    doc.moveDown();
+    doc.font("Helvetica-Bold").text(letter.subject);
+    doc.font("Helvetica").moveDown();
+    doc.text(letter.salutation);
+    doc.moveDown(0.5);
+    letter.paragraphs.forEach(p => {
+      doc.text(p, { width, align: "justify" });
+      doc.moveDown(0.5);
+    });
+
+    if (letter.dispatch.length > 0) {
+      doc.moveDown(0.5).font("Helvetica-Bold").text(letter.dispatchHeading).moveDown(0.3);
+      const colWidth = width / DISPATCH_TABLE.length;
+      const row = (cells, font) => {
+        const y = doc.y;
+        doc.font(font).fontSize(9);
+        const heights = cells.map(cell => doc.heightOfString(cell, { width: colWidth - 4 }));
+        cells.forEach((cell, i) => doc.text(cell, 50 + i * colWidth, y, { width: colWidth - 4 }));
+        doc.x = 50;
+        doc.y = y + Math.max(...heights) + 4;
+      };
+      row(DISPATCH_TABLE.map(c => c.label), "Helvetica-Bold");
+      letter.dispatch.forEach(cells => row(cells, "Helvetica"));
+      doc.fontSize(11).moveDown();
+    }
+
+    doc.font("Helvetica").text(letter.closing, 50);
+    doc.moveDown(2);
+    letter.signature.forEach(line => doc.text(line));
+
+    doc.end();
+  });
+}
+
+function letterFileName(table, complaint, format) {
+  const base = complaint.reference_no
+    ? String(complaint.reference_no).replace(/[^\w-]+/g, "-")
+    : `${table}-${complaint.id}`;
+  return `${base}-reply.${format}`;
+}
+
+// Remove every stored reply letter of a complaint (used when the complaint is purged)
+export async function deleteReplyLetters(table, complaintId) {
+  const { data, error } = await supabase
+    .from("complaint_reply_letters")
+    .select("id, storage_key")
+    .eq("complaint_table", table)
+    .eq("complaint_id", complaintId);
+
+  if (error) throw error;
+  if (data.length === 0) return;
+
+  await storage.remove(data.map(l => l.storage_key));
+
+  const { error: deleteError } = await supabase
+    .from("complaint_reply_letters")
+    .delete()
+    .eq("complaint_table", table)
+    .eq("complaint_id", complaintId);
+
+  if (deleteError) throw deleteError;
+}
+
+// Register reply letter endpoints for a complaint table:
+//   GET  <basePath>/:id/reply-letter/preview            rendered HTML, not stored
+//   POST <basePath>/:id/reply-letter?format=pdf|html    generate and store (default pdf)
+//   GET  <basePath>/:id/reply-letters                   stored letters
+//   GET  <basePath>/:id/reply-letters/:letterId         download
+export function registerReplyLetterRoutes(router, { basePath, table, resource }) {
+  const loadLetter = async (id, actor) => {
+    const { data: complaint, error } = await supabase
+      .from(table)
+      .select("*")
+      .eq("id", id)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!complaint) return null;
+
+    const [template, dispatchRows] = await Promise.all([loadTemplate(), fetchLinkedDispatch(table, id)]);
+    return { complaint, letter: buildLetter(template, table, complaint, dispatchRows, actor) };
+  };
+
+  router.get(`${basePath}/:id/reply-letter/preview`, authorize(resource, "read"), async (req, res) => {
+    try {
+      const loaded = await loadLetter(req.params.id, req.user);
+      if (!loaded) {
+        return res.status(404).json({ success: false, error: "Complaint not found" });
+      }
+      res.set("Content-Type", LETTER_FORMATS.html);
+      res.send(renderLetterHtml(loaded.letter));
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.post(`${basePath}/:id/reply-letter`, authorize(resource, "update"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const format = String(req.query.format || "pdf").toLowerCase();
+      if (!LETTER_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of: ${Object.keys(LETTER_FORMATS).join(", ")}`
+        });
+      }
+
+      const loaded = await loadLetter(id, req.user);
+      if (!loaded) {
+        return res.status(404).json({ success: false, error: "Complaint not found" });
+      }
+
+      const buffer = format === "pdf"
+        ? await renderLetterPdf(loaded.letter)
+        : Buffer.from(renderLetterHtml(loaded.letter), "utf8");
+
+      const fileName = letterFileName(table, loaded.complaint, format);
+      const storageKey = `${table}/${id}/reply-letters/${crypto.randomUUID()}-${fileName}`;
+      await storage.put(storageKey, buffer, LETTER_FORMATS[format]);
+
+      const { data, error } = await supabase
+        .from("complaint_reply_letters")
+        .insert([{
+          complaint_table: table,
+          complaint_id: id,
+          format,
+          file_name: fileName,
+          storage_key: storageKey,
+          size_bytes: buffer.length,
+          generated_by: req.user.id,
+          generated_by_name: req.user.full_name
+        }])
+        .select(LETTER_COLUMNS)
+        .single();
+
+      if (error) {
+        await storage.remove([storageKey]);
+        throw error;
+      }
+
+      await recordAudit(req.user, {
+        action: "generate_reply_letter",
+        entityType: table,
+        entityId: id,
+        payload: { letter_id: data.id, format, file_name: fileName }
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.get(`${basePath}/:id/reply-letters`, authorize(resource, "read"), async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("complaint_reply_letters")
+        .select(LETTER_COLUMNS)
+        .eq("complaint_table", table)
+        .eq("complaint_id", req.params.id)
+        .order("created_at", { ascending: false });
+
+      if (error) throw error;
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.get(`${basePath}/:id/reply-letters/:letterId`, authorize(resource, "read"), async (req, res) => {
+    try {
+      const { id, letterId } = req.params;
+      const { data, error } = await supabase
+        .from("complaint_reply_letters")
+        .select("file_name, format, storage_key")
+        .eq("id", letterId)
+        .eq("complaint_table", table)
+        .eq("complaint_id", id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        return res.status(404).json({ success: false, error: "Reply letter not found" });
+      }
+
+      const buffer = await storage.get(data.storage_key);
+      res.set("Content-Type", LETTER_FORMATS[data.format]);
+      res.set("Content-Disposition", `attachment; filename="${data.file_name}"`);
+      res.send(buffer);
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+}
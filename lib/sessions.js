@@ -0,0 +1,102 @@
+import { supabase } from "../supabase/client.js";
+import { signToken, generateOpaqueToken, hashOpaqueToken } from "./tokens.js";
+
+export const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+export const REFRESH_TOKEN_TTL = Number(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+
+function issueAccessToken(user, sessionId) {
+  return signToken({ sub: user.id, name: user.full_name, role: user.role, sid: sessionId }, ACCESS_TOKEN_TTL);
+}
+
+// Create a session row for a freshly authenticated user and return its token pair
+export async function createSession(user, { ip, userAgent } = {}) {
+  const refreshToken = generateOpaqueToken();
+  const { data, error } = await supabase
+    .from("user_sessions")
+    .insert([{
+      user_id: user.id,
+      refresh_token_hash: hashOpaqueToken(refreshToken),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString(),
+      ip_address: ip || null,
+      user_agent: userAgent || null
+    }])
+    .select("id")
+    .single();
+
+  if (error) throw error;
+
+  return {
+    token: issueAccessToken(user, data.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Exchange a refresh token for a new token pair, rotating the refresh token.
+// Returns null when the refresh token is unknown, revoked or expired.
+export async function refreshSession(refreshToken) {
+  const { data: session, error } = await supabase
+    .from("user_sessions")
+    .select("id, user_id, expires_at, revoked_at, login_details (id, full_name, role)")
+    .eq("refresh_token_hash", hashOpaqueToken(refreshToken))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date() || !session.login_details) {
+    return null;
+  }
+
+  const nextRefreshToken = generateOpaqueToken();
+  const { error: updateError } = await supabase
+    .from("user_sessions")
+    .update({
+      refresh_token_hash: hashOpaqueToken(nextRefreshToken),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString(),
+      last_refreshed_at: new Date().toISOString()
+    })
+    .eq("id", session.id);
+
+  if (updateError) throw updateError;
+
+  return {
+    user: session.login_details,
+    token: issueAccessToken(session.login_details, session.id),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+export async function revokeSession(sessionId) {
+  const { error } = await supabase
+    .from("user_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", sessionId)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+}
+
+// Revoke every active session of a user, optionally keeping the caller's own
+export async function revokeUserSessions(userId, { exceptSessionId } = {}) {
+  let query = supabase
+    .from("user_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+
+  if (exceptSessionId) query = query.neq("id", exceptSessionId);
+
+  const { error } = await query;
+  if (error) throw error;
+}
+
+export async function isSessionActive(sessionId) {
+  const { data, error } = await supabase
+    .from("user_sessions")
+    .select("id, expires_at, revoked_at")
+    .eq("id", sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data && !data.revoked_at && new Date(data.expires_at) > new Date());
+}
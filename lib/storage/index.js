@@ -0,0 +1,18 @@
+import { createLocalStorage } from "./local.js";
+import { createSupabaseStorage } from "./supabase.js";
+
+// Attachment storage backend, chosen by ATTACHMENT_STORAGE ("local" or "supabase").
+// Every backend exposes put(key, buffer, contentType), get(key) and remove(keys).
+function createStorage() {
+  const backend = process.env.ATTACHMENT_STORAGE || "local";
+
+  if (backend === "local") {
+    return createLocalStorage(process.env.ATTACHMENT_DIR || "uploads");
+  }
+  if (backend === "supabase") {
+    return createSupabaseStorage(process.env.ATTACHMENT_BUCKET || "complaint-attachments");
+  }
+  throw new Error(`Unknown ATTACHMENT_STORAGE backend '${backend}'`);
+}
+
+export const storage = createStorage();
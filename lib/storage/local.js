@@ -0,0 +1,27 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Stores objects as files under rootDir, using the storage key as the relative path
+export function createLocalStorage(rootDir) {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    async get(key) {
+      return fs.readFile(resolveKey(key));
+    },
+    async remove(keys) {
+      await Promise.all(keys.map(key => fs.rm(resolveKey(key), { force: true })));
+    }
+  };
+}
@@ -0,0 +1,27 @@
+import { supabase } from "../../supabase/client.js";
+
+// Stores objects in a Supabase Storage bucket
+export function createSupabaseStorage(bucket) {
+  return {
+    async put(key, buffer, contentType) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, buffer, { contentType, upsert: false });
+      if (error) throw error;
+    },
+    async get(key) {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+    async remove(keys) {
+      if (keys.length === 0) return;
+      const { error } = await supabase.storage
+        .from(bucket)
+        .remove(keys);
+      if (error) throw error;
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const tokenSecret = process.env.AUTH_TOKEN_SECRET;
+
+if (!tokenSecret) {
+  throw new Error("AUTH_TOKEN_SECRET environment variable is missing.");
+}
+
+const HEADER = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", tokenSecret).update(data).digest("base64url");
+}
+
+// Sign a compact HS256 JWT that expires ttlSeconds from now
+export function signToken(payload, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+  return `${HEADER}.${body}.${sign(`${HEADER}.${body}`)}`;
+}
+
+// Returns the token payload, or null when the signature is wrong or the token has expired
+export function verifyToken(token) {
+  if (typeof token !== "string") return null;
+
+  const parts = token.split(".");
+  if (parts.length !== 3 || parts[0] !== HEADER) return null;
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+  return payload;
+}
+
+// Opaque random token (used for refresh tokens) and its storage hash
+export function generateOpaqueToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+export function hashOpaqueToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Short human-readable one-time code (no 0/O or 1/I) that an admin can read out to a user
+const RESET_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export function generateResetCode(length = 8) {
+  let code = "";
+  for (let i = 0; i < length; i++) {
+    code += RESET_CODE_ALPHABET[crypto.randomInt(RESET_CODE_ALPHABET.length)];
+  }
+  return code;
+}
@@ -0,0 +1,63 @@
+import { verifyToken } from "../lib/tokens.js";
+import { isSessionActive } from "../lib/sessions.js";
+import { ROLES, TABLE_RESOURCES, can, normalizeRole } from "../lib/permissions.js";
+
+// Paths under /api reachable without an access token.
+// /refresh and /reset-password authenticate with the refresh token or reset code in their body instead.
+const PUBLIC_PATHS = new Set(["/login", "/refresh", "/reset-password"]);
+
+export async function requireAuth(req, res, next) {
+  if (PUBLIC_PATHS.has(req.path)) return next();
+
+  const header = req.get("Authorization") || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ success: false, error: "Authentication required" });
+  }
+
+  const payload = verifyToken(token);
+  if (!payload) {
+    return res.status(401).json({ success: false, error: "Invalid or expired token" });
+  }
+
+  try {
+    if (!(await isSessionActive(payload.sid))) {
+      return res.status(401).json({ success: false, error: "Session has been revoked" });
+    }
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+
+  req.user = { id: payload.sub, full_name: payload.name, role: payload.role, sessionId: payload.sid };
+  next();
+}
+
+function checkPermission(req, res, next, resource, action) {
+  const role = req.user?.role;
+  if (!Object.values(ROLES).includes(normalizeRole(role))) {
+    return res.status(403).json({ success: false, error: `Role '${role || "none"}' is not recognised` });
+  }
+  if (!can(role, resource, action)) {
+    return res.status(403).json({
+      success: false,
+      error: `Role '${role}' is not allowed to ${action} ${resource.replace(/_/g, " ")}`
+    });
+  }
+  next();
+}
+
+// Route guard checking the caller's role against the permission matrix
+export function authorize(resource, action) {
+  return (req, res, next) => checkPermission(req, res, next, resource, action);
+}
+
+// Same as authorize(), for generic endpoints taking the table from req.params.tableName
+export function authorizeTable(action) {
+  return (req, res, next) => {
+    const resource = TABLE_RESOURCES[req.params.tableName];
+    if (!resource) {
+      return res.status(403).json({ success: false, error: `Table '${req.params.tableName}' is not accessible` });
+    }
+    checkPermission(req, res, next, resource, action);
+  };
+}
@@ -0,0 +1,47 @@
+import express from "express";
+import { supabase } from "../supabase/client.js";
+import { authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Audit events, newest first. Filters: actor_id, actor_name, action, entity_type, entity_id,
+// startDate/endDate (on created_at) and limit (default 500).
+router.get("/audit", authorize("audit", "read"), async (req, res) => {
+  try {
+    const { startDate, endDate, limit, ...filters } = req.query;
+    const allowedFilters = ["actor_id", "actor_name", "action", "entity_type", "entity_id"];
+
+    let query = supabase
+      .from("audit_log")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(Math.min(Number(limit) || 500, 5000));
+
+    if (startDate) {
+      query = query.gte("created_at", startDate);
+    }
+    if (endDate) {
+      // A bare date includes the whole of that day
+      query = query.lte("created_at", endDate.length === 10 ? `${endDate}T23:59:59.999Z` : endDate);
+    }
+
+    Object.entries(filters).forEach(([column, value]) => {
+      if (value && allowedFilters.includes(column)) {
+        const filterValues = String(value).split(",");
+        if (filterValues.length > 1) {
+          query = query.in(column, filterValues);
+        } else {
+          query = query.eq(column, value);
+        }
+      }
+    });
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ success: true, data });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
@@ -1,8 +1,45 @@
 import express from "express";
 import { supabase } from "../supabase/client.js";
+import { recordAudit } from "../lib/audit.js";
+import { authorize } from "../middleware/auth.js";
+import { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH } from "../lib/password.js";
+import { createSession, refreshSession, revokeSession, revokeUserSessions } from "../lib/sessions.js";
+import { ROLES, normalizeRole, permissionsFor } from "../lib/permissions.js";
+import { loginThrottle } from "../lib/login-throttle.js";
+import { generateResetCode, hashOpaqueToken } from "../lib/tokens.js";
 
 const router = express.Router();
 
+// Columns safe to return to clients (never secret_password)
+const USER_COLUMNS = "id, role, full_name, work_details, last_login, created_at, updated_at";
+
+const RESET_CODE_TTL_MINUTES = Number(process.env.PASSWORD_RESET_CODE_TTL_MINUTES) || 30;
+
+// Append a row to login_history; failures here must never block a login
+async function recordLoginAttempt({ userId, role, full_name, success, reason, ip, userAgent }) {
+  try {
+    const { error } = await supabase
+      .from("login_history")
+      .insert([{
+        user_id: userId ?? null,
+        role: role ?? null,
+        full_name: full_name ?? null,
+        success,
+        failure_reason: reason ?? null,
+        ip_address: ip ?? null,
+        user_agent: userAgent ?? null,
+        attempted_at: new Date().toISOString()
+      }]);
+    if (error) throw error;
+  } catch (err) {
+    console.error("Failed to record login attempt", err);
+  }
+}
+
+function isKnownRole(role) {
+  return Object.values(ROLES).includes(normalizeRole(role));
+}
+
 router.get("/login-names", async (req, res) => {
   try {
     const { data, error } = await supabase
@@ -22,11 +59,11 @@ router.get("/login-names", async (req, res) => {
 });
 
 // GET all users
-router.get("/users", async (req, res) => {
+router.get("/users", authorize("users", "read"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("login_details")
-      .select("*")
+      .select(USER_COLUMNS)
       .order("created_at", { ascending: false });
 
     if (error) throw error;
@@ -38,16 +75,26 @@ router.get("/users", async (req, res) => {
 });
 
 // POST create user
-router.post("/users", async (req, res) => {
+router.post("/users", authorize("users", "create"), async (req, res) => {
   const { role, full_name, secret_password, work_details } = req.body;
+  if (!secret_password) {
+    return res.status(400).json({ success: false, message: "Secret password is required" });
+  }
+  if (!isKnownRole(role)) {
+    return res.status(400).json({ success: false, message: `Role must be one of: ${Object.values(ROLES).join(", ")}` });
+  }
+
   try {
+    const passwordHash = await hashPassword(secret_password);
     const { data, error } = await supabase
       .from("login_details")
-      .insert([{ role, full_name, secret_password, work_details }])
-      .select()
+      .insert([{ role, full_name, secret_password: passwordHash, work_details }])
+      .select(USER_COLUMNS)
       .single();
 
     if (error) throw error;
+
+    await recordAudit(req.user, { action: "create", entityType: "login_details", entityId: data.id, payload: { role, full_name } });
     res.json({ success: true, user: data });
   } catch (err) {
     console.error("Error creating user:", err);
@@ -56,18 +103,53 @@ router.post("/users", async (req, res) => {
 });
 
 // PUT update user
-router.put("/users/:id", async (req, res) => {
+router.put("/users/:id", authorize("users", "update"), async (req, res) => {
   const { id } = req.params;
   const { role, full_name, secret_password, work_details } = req.body;
+  if (role !== undefined && !isKnownRole(role)) {
+    return res.status(400).json({ success: false, message: `Role must be one of: ${Object.values(ROLES).join(", ")}` });
+  }
+
   try {
+    const { data: before, error: beforeError } = await supabase
+      .from("login_details")
+      .select("role")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (beforeError) throw beforeError;
+    if (!before) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const updates = { role, full_name, work_details, updated_at: new Date().toISOString() };
+    // Only replace the stored hash when a new password is supplied
+    if (secret_password) {
+      updates.secret_password = await hashPassword(secret_password);
+    }
+
     const { data, error } = await supabase
       .from("login_details")
-      .update({ role, full_name, secret_password, work_details, updated_at: new Date().toISOString() })
+      .update(updates)
       .eq("id", id)
-      .select()
+      .select(USER_COLUMNS)
       .single();
 
     if (error) throw error;
+
+    // A password reset or role change signs the user out everywhere; access tokens carry the role
+    const roleChanged = role !== undefined && normalizeRole(role) !== normalizeRole(before.role);
+    if (secret_password || roleChanged) {
+      await revokeUserSessions(id);
+    }
+
+    await recordAudit(req.user, {
+      action: "update",
+      entityType: "login_details",
+      entityId: id,
+      payload: { role, full_name, password_changed: Boolean(secret_password) }
+    });
+
     res.json({ success: true, user: data });
   } catch (err) {
     console.error("Error updating user:", err);
@@ -76,9 +158,8 @@ router.put("/users/:id", async (req, res) => {
 });
 
 // DELETE user
-router.delete("/users/:id", async (req, res) => {
+router.delete("/users/:id", authorize("users", "delete"), async (req, res) => {
   const { id } = req.params;
-  const { deleted_by } = req.query;
   try {
     const { error } = await supabase
       .from("login_details")
@@ -87,21 +168,7 @@ router.delete("/users/:id", async (req, res) => {
 
     if (error) throw error;
 
-    if (deleted_by) {
-      const { data: userData } = await supabase
-        .from("login_details")
-        .select("work_details")
-        .eq("full_name", deleted_by)
-        .single();
-      
-      const newWorkDetails = (userData?.work_details ? userData.work_details + "\n" : "") + 
-        `Deleted user ID ${id} at ${new Date().toLocaleString()}`;
-      
-      await supabase
-        .from("login_details")
-        .update({ work_details: newWorkDetails })
-        .eq("full_name", deleted_by);
-    }
+    await recordAudit(req.user, { action: "delete", entityType: "login_details", entityId: id });
 
     res.json({ success: true, message: "User deleted successfully" });
   } catch (err) {
@@ -110,29 +177,96 @@ router.delete("/users/:id", async (req, res) => {
   }
 });
 
+// POST unlock a user locked out by failed logins (admin); pass ?ip= to also clear an address lock
+router.post("/users/:id/unlock", authorize("users", "update"), async (req, res) => {
+  const { id } = req.params;
+  const { ip } = req.query;
+  try {
+    const { data, error } = await supabase
+      .from("login_details")
+      .select("full_name")
+      .eq("id", id)
+      .single();
+
+    if (error) throw error;
+
+    await loginThrottle.unlock({ fullName: data.full_name, ip });
+    await recordAudit(req.user, { action: "unlock", entityType: "login_details", entityId: id, payload: { ip: ip || null } });
+    res.json({ success: true, message: `Login unlocked for ${data.full_name}` });
+  } catch (err) {
+    console.error("Error unlocking user:", err);
+    res.status(500).json({ success: false, message: "Failed to unlock user" });
+  }
+});
+
+// GET login history (admin), filterable by user and attempt date range
+router.get("/login-history", authorize("users", "read"), async (req, res) => {
+  const { user_id, full_name, success, startDate, endDate } = req.query;
+  try {
+    let query = supabase
+      .from("login_history")
+      .select("*")
+      .order("attempted_at", { ascending: false });
+
+    if (user_id) query = query.eq("user_id", user_id);
+    if (full_name) query = query.eq("full_name", full_name);
+    if (success === "true" || success === "false") query = query.eq("success", success === "true");
+    if (startDate) query = query.gte("attempted_at", startDate);
+    // A bare date includes the whole of that day
+    if (endDate) query = query.lte("attempted_at", endDate.length === 10 ? `${endDate}T23:59:59.999Z` : endDate);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ success: true, history: data });
+  } catch (err) {
+    console.error("Error fetching login history:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch login history" });
+  }
+});
+
 router.post("/login", async (req, res) => {
   const { role, full_name, secret_password } = req.body;
   console.log("Login attempt:", { role, full_name });
 
+  const attempt = { role, full_name, ip: req.ip, userAgent: req.get("User-Agent") };
+
+  let throttle;
   try {
+    throttle = await loginThrottle.begin(full_name, req.ip);
+    if (!throttle.allowed) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: throttle.reason });
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: throttle.reason.endsWith("_locked")
+          ? `Too many failed attempts. Login is locked for ${Math.ceil(throttle.retryAfterSeconds / 60)} minute(s).`
+          : `Too many failed attempts. Please wait ${throttle.retryAfterSeconds} second(s) and try again.`
+      });
+    }
+
     const { data, error } = await supabase
       .from("login_details")
       .select("*")
       .eq("role", role)
       .eq("full_name", full_name)
-      .eq("secret_password", secret_password)
-      .single();
+      .maybeSingle();
 
-    if (error) {
-      console.error("Supabase error during login:", error.message);
+    // A database error is not a wrong password; the catch below takes the attempt back
+    if (error) throw error;
+
+    // The attempt was already counted by begin(), so a failure needs no further bookkeeping
+    if (!data) {
+      console.log("No user found with matching credentials");
+      await recordLoginAttempt({ ...attempt, success: false, reason: "unknown_user" });
       return res.status(401).json({ 
         success: false, 
         message: "Invalid credentials. Please check your role, full name, and secret password." 
       });
     }
 
-    if (!data) {
-      console.log("No user found with matching credentials");
+    if (!(await verifyPassword(secret_password, data.secret_password))) {
+      console.log("Secret password did not match for user:", data.id);
+      await recordLoginAttempt({ ...attempt, userId: data.id, success: false, reason: "invalid_password" });
       return res.status(401).json({ 
         success: false, 
         message: "Invalid credentials. Please check your role, full name, and secret password." 
@@ -140,40 +274,235 @@ router.post("/login", async (req, res) => {
     }
 
     console.log("Login successful for user:", data.id);
-    const userToReinsert = { 
-      role: data.role, 
-      full_name: data.full_name, 
-      secret_password: data.secret_password,
-      last_login: new Date().toISOString(),
-      work_details: data.work_details 
-    };
-
-    // Delete existing user info and write new info as requested
-    await supabase
+    const { data: user, error: updateError } = await supabase
       .from("login_details")
-      .delete()
+      .update({ last_login: new Date().toISOString() })
+      .eq("id", data.id)
+      .select(USER_COLUMNS)
+      .single();
+
+    if (updateError) throw updateError;
+
+    await throttle.succeed();
+    await recordLoginAttempt({ ...attempt, userId: user.id, success: true });
+    const session = await createSession(user, { ip: attempt.ip, userAgent: attempt.userAgent });
+
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        full_name: user.full_name,
+        role: user.role
+      },
+      ...session
+    });
+  } catch (err) {
+    await throttle?.cancel?.();
+    console.error("Login error:", err);
+    res.status(500).json({ success: false, message: "Server error during login" });
+  }
+});
+
+// Change the caller's own password after confirming the current one
+router.post("/change-password", async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (typeof current_password !== "string" || typeof new_password !== "string" || !current_password || !new_password) {
+    return res.status(400).json({ success: false, message: "Current and new password are required" });
+  }
+  if (new_password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  let throttle;
+  try {
+    // Checking the current password shares the login brute-force limits
+    throttle = await loginThrottle.begin(req.user.full_name, req.ip);
+    if (!throttle.allowed) {
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({ success: false, message: "Too many failed attempts. Please try again later." });
+    }
+
+    const { data, error } = await supabase
+      .from("login_details")
+      .select("id, secret_password")
+      .eq("id", req.user.id)
+      .single();
+
+    if (error) throw error;
+
+    if (!(await verifyPassword(current_password, data.secret_password))) {
+      return res.status(400).json({ success: false, message: "Current password is incorrect" });
+    }
+    await throttle.succeed();
+
+    const { error: updateError } = await supabase
+      .from("login_details")
+      .update({ secret_password: await hashPassword(new_password), updated_at: new Date().toISOString() })
       .eq("id", data.id);
 
-    const { data: newData, error: insertError } = await supabase
+    if (updateError) throw updateError;
+
+    // Sign out every other device; the current session stays valid
+    await revokeUserSessions(data.id, { exceptSessionId: req.user.sessionId });
+    await recordAudit(req.user, { action: "change_password", entityType: "login_details", entityId: data.id });
+
+    res.json({ success: true, message: "Password changed successfully" });
+  } catch (err) {
+    await throttle?.cancel?.();
+    console.error("Error changing password:", err);
+    res.status(500).json({ success: false, message: "Failed to change password" });
+  }
+});
+
+// POST issue a one-time password reset code for a user (admin). The code is only returned here.
+router.post("/users/:id/reset-code", authorize("users", "update"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data: user, error } = await supabase
       .from("login_details")
-      .insert([userToReinsert])
-      .select()
+      .select("id, full_name")
+      .eq("id", id)
       .single();
 
+    if (error) throw error;
+
+    // Only the newest code for a user is redeemable
+    const { error: expireError } = await supabase
+      .from("password_reset_codes")
+      .update({ used_at: new Date().toISOString() })
+      .eq("user_id", user.id)
+      .is("used_at", null);
+
+    if (expireError) throw expireError;
+
+    const code = generateResetCode();
+    const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000).toISOString();
+    const { error: insertError } = await supabase
+      .from("password_reset_codes")
+      .insert([{ user_id: user.id, code_hash: hashOpaqueToken(code), expires_at: expiresAt, created_by: req.user.id }]);
+
     if (insertError) throw insertError;
 
+    await recordAudit(req.user, {
+      action: "issue_reset_code",
+      entityType: "login_details",
+      entityId: user.id,
+      payload: { expires_at: expiresAt }
+    });
+
+    res.json({ success: true, code, expires_at: expiresAt });
+  } catch (err) {
+    console.error("Error issuing reset code:", err);
+    res.status(500).json({ success: false, message: "Failed to issue reset code" });
+  }
+});
+
+// Redeem an admin-issued reset code to set a new password (no session required)
+router.post("/reset-password", async (req, res) => {
+  const { full_name, code, new_password } = req.body;
+  if (!full_name || !code || typeof new_password !== "string" || !new_password) {
+    return res.status(400).json({ success: false, message: "Full name, reset code and new password are required" });
+  }
+  if (new_password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  let throttle;
+  try {
+    // Reset codes share the login brute-force limits
+    throttle = await loginThrottle.begin(full_name, req.ip);
+    if (!throttle.allowed) {
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({ success: false, message: "Too many failed attempts. Please try again later." });
+    }
+
+    const { data: resetCode, error } = await supabase
+      .from("password_reset_codes")
+      .select("id, user_id, expires_at, login_details (full_name)")
+      .eq("code_hash", hashOpaqueToken(String(code).trim().toUpperCase()))
+      .is("used_at", null)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!resetCode || new Date(resetCode.expires_at) <= new Date() || resetCode.login_details?.full_name !== full_name) {
+      return res.status(400).json({ success: false, message: "Invalid or expired reset code" });
+    }
+
+    // Claim the code first so it cannot be redeemed twice
+    const { data: claimed, error: claimError } = await supabase
+      .from("password_reset_codes")
+      .update({ used_at: new Date().toISOString() })
+      .eq("id", resetCode.id)
+      .is("used_at", null)
+      .select("id");
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) {
+      return res.status(400).json({ success: false, message: "Invalid or expired reset code" });
+    }
+
+    const { error: updateError } = await supabase
+      .from("login_details")
+      .update({ secret_password: await hashPassword(new_password), updated_at: new Date().toISOString() })
+      .eq("id", resetCode.user_id);
+
+    if (updateError) throw updateError;
+
+    await revokeUserSessions(resetCode.user_id);
+    await throttle.succeed();
+    await recordAudit(
+      { id: resetCode.user_id, full_name },
+      { action: "reset_password", entityType: "login_details", entityId: resetCode.user_id }
+    );
+
+    res.json({ success: true, message: "Password reset successfully. Please log in with your new password." });
+  } catch (err) {
+    await throttle?.cancel?.();
+    console.error("Error resetting password:", err);
+    res.status(500).json({ success: false, message: "Failed to reset password" });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post("/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: "Refresh token is required" });
+  }
+
+  try {
+    const session = await refreshSession(refreshToken);
+    if (!session) {
+      return res.status(401).json({ success: false, message: "Session expired. Please log in again." });
+    }
+
+    const { user, ...tokens } = session;
     res.json({
       success: true,
-      user: {
-        id: newData.id,
-        full_name: newData.full_name,
-        role: newData.role
-      }
+      user: { id: user.id, full_name: user.full_name, role: user.role },
+      ...tokens
     });
   } catch (err) {
-    console.error("Login error:", err);
-    res.status(500).json({ success: false, message: "Server error during login" });
+    console.error("Token refresh error:", err);
+    res.status(500).json({ success: false, message: "Server error during token refresh" });
   }
 });
 
+// Revoke the caller's current session
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId);
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ success: false, message: "Server error during logout" });
+  }
+});
+
+// Resources and actions the caller's role is allowed, for the frontend to hide controls
+router.get("/permissions", async (req, res) => {
+  res.json({ success: true, role: req.user.role, permissions: permissionsFor(req.user.role) });
+});
+
 export default router;
@@ -0,0 +1,438 @@
+import express from "express";
+import { authorize } from "../middleware/auth.js";
+import { COMPLAINT_TABLES, applyComplaintFilters, complaintTablesFor } from "../lib/complaint-query.js";
+import { STATUSES, normalizeStatus } from "../lib/complaint-status.js";
+import { fetchDispatchByInvoice } from "../lib/dispatch-links.js";
+import { fetchDispatchVolumes, periodOf } from "../lib/dispatch-volume.js";
+import { CAPA_STATUSES } from "../lib/capa.js";
+import { isValidDate } from "../lib/complaint-schema.js";
+import { fetchAllRows } from "../lib/paged-fetch.js";
+
+const router = express.Router();
+
+const DEFAULT_SLA_DAYS = Number(process.env.COMPLAINT_SLA_DAYS) || 7;
+
+const AGE_BUCKETS = [
+  { label: "0-7", max: 7 },
+  { label: "8-15", max: 15 },
+  { label: "16-30", max: 30 },
+  { label: ">30", max: Infinity }
+];
+
+// Report grouping keys accepted by ?groupBy=
+const GROUP_COLUMNS = {
+  market: "market",
+  unit: "unit",
+  customer: "customer_name",
+  nature: "nature_of_complaint",
+  nature_of_complaint: "nature_of_complaint"
+};
+
+// Filters that mean the same thing on complaints and on dispatch_data
+const SHARED_RATE_FILTERS = ["market", "customer_name"];
+
+// Rate dimensions: complaint column -> dispatch-volume stats key
+const RATE_DIMENSIONS = {
+  unit: { column: "unit", volumes: "unit" },
+  market: { column: "market", volumes: "market" },
+  customer: { column: "customer_name", volumes: "customer" },
+  month: { column: "query_received_date", volumes: "period" }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole calendar days between two dates (ignores time of day)
+function daysBetween(from, to) {
+  const a = new Date(from);
+  const b = new Date(to);
+  if (isNaN(a.getTime()) || isNaN(b.getTime())) return null;
+  const dayA = Date.UTC(a.getUTCFullYear(), a.getUTCMonth(), a.getUTCDate());
+  const dayB = Date.UTC(b.getUTCFullYear(), b.getUTCMonth(), b.getUTCDate());
+  return Math.round((dayB - dayA) / DAY_MS);
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function turnaroundStats(days) {
+  const sorted = [...days].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    avgDays: sorted.length > 0 ? sorted.reduce((sum, d) => sum + d, 0) / sorted.length : null,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95)
+  };
+}
+
+// Latest Closed transition per complaint id, from complaint_status_history
+async function fetchClosingDates(table) {
+  const { data } = await fetchAllRows("complaint_status_history", "complaint_id, changed_at", (query) => query
+    .eq("complaint_table", table)
+    .eq("to_status", STATUSES.CLOSED)
+    .order("id", { ascending: true }));
+
+  const closedAt = new Map();
+  data.forEach(row => {
+    const current = closedAt.get(row.complaint_id);
+    if (!current || row.changed_at > current) closedAt.set(row.complaint_id, row.changed_at);
+  });
+  return closedAt;
+}
+
+function summarise(rows, slaDays, today) {
+  const ageing = Object.fromEntries(AGE_BUCKETS.map(b => [b.label, 0]));
+  const replyDays = [];
+  const closeDays = [];
+  const breaches = { total: 0, open: 0, replied: 0 };
+  let open = 0;
+
+  rows.forEach(row => {
+    const isClosed = normalizeStatus(row.status) === STATUSES.CLOSED;
+    const replyTurnaround = row.reply_date ? daysBetween(row.query_received_date, row.reply_date) : null;
+
+    if (replyTurnaround !== null) {
+      replyDays.push(replyTurnaround);
+      if (replyTurnaround > slaDays) {
+        breaches.total++;
+        breaches.replied++;
+      }
+    }
+
+    if (row.closed_at) {
+      const closeTurnaround = daysBetween(row.query_received_date, row.closed_at);
+      if (closeTurnaround !== null) closeDays.push(closeTurnaround);
+    }
+
+    if (!isClosed) {
+      open++;
+      const age = daysBetween(row.query_received_date, today);
+      if (age !== null) {
+        ageing[AGE_BUCKETS.find(b => age <= b.max).label]++;
+        // Still waiting for a reply past the promised date
+        if (!row.reply_date && age > slaDays) {
+          breaches.total++;
+          breaches.open++;
+        }
+      }
+    }
+  });
+
+  return {
+    total: rows.length,
+    open,
+    ageing,
+    replyTurnaround: turnaroundStats(replyDays),
+    closeTurnaround: turnaroundStats(closeDays),
+    slaBreaches: breaches
+  };
+}
+
+// Complaint count and quantity rates against dispatched MT (null when nothing was dispatched)
+function rateFor(rows, dispatchedMT) {
+  const complaintQtyMT = rows.reduce((sum, row) => sum + (Number(row.complaint_qty) || 0), 0) / 1000;
+  return {
+    complaints: rows.length,
+    complaintQtyMT,
+    dispatchedMT,
+    ratePer1000MT: dispatchedMT > 0 ? (rows.length / dispatchedMT) * 1000 : null,
+    qtyRatePer1000MT: dispatchedMT > 0 ? (complaintQtyMT / dispatchedMT) * 1000 : null
+  };
+}
+
+// Every YYYY-MM period from first to last inclusive
+function monthsBetween(first, last) {
+  const months = [];
+  let [year, month] = first.split("-").map(Number);
+  const [lastYear, lastMonth] = last.split("-").map(Number);
+  while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+    months.push(`${year}-${String(month).padStart(2, "0")}`);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+// Pareto-sorted nature_of_complaint counts with cumulative percentages, and a monthly
+// series per category with the change from the previous month
+function natureAnalysis(rows, { startDate, endDate }) {
+  const counts = {};
+  const monthly = {};
+  const periods = [];
+
+  rows.forEach(row => {
+    const nature = String(row.nature_of_complaint || "").trim() || "Unspecified";
+    counts[nature] = (counts[nature] || 0) + 1;
+
+    const period = periodOf(row.query_received_date);
+    if (period) {
+      periods.push(period);
+      monthly[nature] = monthly[nature] || {};
+      monthly[nature][period] = (monthly[nature][period] || 0) + 1;
+    }
+  });
+
+  const total = rows.length;
+  let cumulative = 0;
+  const pareto = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([nature, count]) => {
+      cumulative += count;
+      return {
+        nature,
+        count,
+        percent: (count / total) * 100,
+        cumulativePercent: (cumulative / total) * 100
+      };
+    });
+
+  periods.sort();
+  const first = periodOf(startDate) || periods[0];
+  const last = periodOf(endDate) || periods[periods.length - 1];
+  const months = first && last ? monthsBetween(first, last) : [];
+
+  const trend = Object.fromEntries(pareto.map(({ nature }) => {
+    let previous = null;
+    return [nature, months.map(month => {
+      const count = (monthly[nature] && monthly[nature][month]) || 0;
+      const change = previous === null ? null : count - previous;
+      previous = count;
+      return { month, count, change };
+    })];
+  }));
+
+  return { total, pareto, months, trend };
+}
+
+// Complaint ageing and SLA report.
+// Query: division (Yarn/Fabric, default both), groupBy (market/unit/customer/nature),
+// slaDays (default COMPLAINT_SLA_DAYS or 7), plus the same filters as GET /yarn-complaints.
+router.get("/complaint-ageing", authorize("complaints", "read"), async (req, res) => {
+  try {
+    const { division, groupBy, slaDays: slaParam, ...filters } = req.query;
+    const slaDays = slaParam === undefined || String(slaParam).trim() === "" ? DEFAULT_SLA_DAYS : Number(slaParam);
+    if (!Number.isFinite(slaDays) || slaDays < 0) {
+      return res.status(400).json({ success: false, error: "slaDays must be a non-negative number" });
+    }
+
+    if (groupBy && !GROUP_COLUMNS[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        error: `groupBy must be one of: ${Object.keys(GROUP_COLUMNS).join(", ")}`
+      });
+    }
+
+    const today = new Date();
+    const result = { slaDays };
+
+    for (const table of complaintTablesFor(division)) {
+      const [{ data }, closedAt] = await Promise.all([
+        fetchAllRows(table, "*", (query) =>
+          applyComplaintFilters(query.is("deleted_at", null).order("id", { ascending: true }), filters)),
+        fetchClosingDates(table)
+      ]);
+
+      const rows = data
+        .filter(row => row.query_received_date)
+        .map(row => ({ ...row, closed_at: closedAt.get(row.id) || null }));
+
+      const report = summarise(rows, slaDays, today);
+
+      if (groupBy) {
+        const column = GROUP_COLUMNS[groupBy];
+        const groups = {};
+        rows.forEach(row => {
+          const key = String(row[column] || "Unknown");
+          (groups[key] = groups[key] || []).push(row);
+        });
+        report.groups = Object.fromEntries(
+          Object.entries(groups).map(([key, groupRows]) => [key, summarise(groupRows, slaDays, today)])
+        );
+      }
+
+      result[table === "yarn_complaints" ? "yarn" : "fabric"] = report;
+    }
+
+    res.json({ success: true, data: result });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Complaints whose invoice_no is not found in dispatch_data (plus a count of those with no
+// invoice at all). Accepts division and the same filters as GET /yarn-complaints.
+router.get("/complaint-invoice-report", authorize("complaints", "read"), async (req, res) => {
+  try {
+    const { division, ...filters } = req.query;
+    const result = {};
+
+    for (const table of complaintTablesFor(division)) {
+      const { data } = await fetchAllRows(
+        table,
+        "id, reference_no, query_received_date, customer_name, invoice_no, lot_no, status",
+        (query) => applyComplaintFilters(query
+          .is("deleted_at", null)
+          .order("query_received_date", { ascending: false })
+          .order("id", { ascending: true }), filters)
+      );
+
+      const withInvoice = data.filter(row => row.invoice_no && String(row.invoice_no).trim() !== "");
+      const byInvoice = await fetchDispatchByInvoice(withInvoice.map(row => row.invoice_no));
+
+      result[table === "yarn_complaints" ? "yarn" : "fabric"] = {
+        checked: withInvoice.length,
+        missingInvoiceNo: data.length - withInvoice.length,
+        notFound: withInvoice.filter(row => !byInvoice.has(String(row.invoice_no).trim()))
+      };
+    }
+
+    res.json({ success: true, data: result });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Complaints per 1,000 MT dispatched, and complained MT (complaint_qty, in kg) per 1,000 MT
+// dispatched, by unit, market, customer and month (YYYY-MM). Dispatch volumes use the same
+// plant mapping and division rules as GET /dispatch-stats.
+// Query: division (Yarn/Fabric, default both), startDate, endDate, market, customer_name.
+router.get("/complaint-rate", authorize("complaints", "read"), async (req, res) => {
+  try {
+    const { division, startDate, endDate } = req.query;
+    const shared = {};
+    SHARED_RATE_FILTERS.forEach(column => {
+      if (req.query[column]) shared[column] = req.query[column];
+    });
+
+    const result = {};
+
+    for (const [tableDivision, table] of Object.entries(COMPLAINT_TABLES)) {
+      if (!complaintTablesFor(division).includes(table)) continue;
+
+      const [{ data }, volumes] = await Promise.all([
+        fetchAllRows(table, "unit, market, customer_name, query_received_date, complaint_qty", (query) =>
+          applyComplaintFilters(query.is("deleted_at", null).order("id", { ascending: true }), { startDate, endDate, ...shared })),
+        fetchDispatchVolumes({ division: tableDivision, startDate, endDate, ...shared })
+      ]);
+
+      const report = { total: rateFor(data, volumes.total) };
+
+      Object.entries(RATE_DIMENSIONS).forEach(([dimension, { column, volumes: volumeKey }]) => {
+        const groups = {};
+        data.forEach(row => {
+          const key = dimension === "month"
+            ? periodOf(row[column]) || "Unknown"
+            : String(row[column] || "Unknown");
+          (groups[key] = groups[key] || []).push(row);
+        });
+
+        // Include dispatched groups with no complaints so zero rates are reported too
+        const keys = new Set([...Object.keys(groups), ...Object.keys(volumes[volumeKey])]);
+        report[dimension] = Object.fromEntries(
+          [...keys].sort().map(key => [key, rateFor(groups[key] || [], volumes[volumeKey][key] || 0)])
+        );
+      });
+
+      result[tableDivision.toLowerCase()] = report;
+    }
+
+    res.json({ success: true, data: result });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Pareto and month-over-month trend of nature_of_complaint for yarn, fabric and both combined.
+// Query: division (Yarn/Fabric, default both), startDate, endDate, plus the same filters as
+// GET /yarn-complaints (market, unit, customer_name, count, ...).
+router.get("/complaint-nature-analysis", authorize("complaints", "read"), async (req, res) => {
+  try {
+    const { division, ...filters } = req.query;
+    const result = {};
+    const combined = [];
+
+    for (const table of complaintTablesFor(division)) {
+      const { data } = await fetchAllRows(table, "nature_of_complaint, query_received_date", (query) =>
+        applyComplaintFilters(query.is("deleted_at", null).order("id", { ascending: true }), filters));
+
+      result[table === "yarn_complaints" ? "yarn" : "fabric"] = natureAnalysis(data, filters);
+      combined.push(...data);
+    }
+
+    result.combined = natureAnalysis(combined, filters);
+
+    res.json({ success: true, data: result });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// CAPA actions past their due date and not yet closed, most overdue first, with the
+// complaint's reference number and customer.
+// Query: division (Yarn/Fabric, default both), owner, root_cause_category, asOf (default today).
+router.get("/capa-overdue", authorize("complaints", "read"), async (req, res) => {
+  try {
+    const { division, owner, root_cause_category, asOf } = req.query;
+    if (asOf !== undefined && !(/^\d{4}-\d{2}-\d{2}$/.test(asOf) && isValidDate(asOf))) {
+      return res.status(400).json({ success: false, error: "asOf must be a date (YYYY-MM-DD)" });
+    }
+    const today = asOf || new Date().toISOString().slice(0, 10);
+    const result = [];
+
+    for (const table of complaintTablesFor(division)) {
+      const { data } = await fetchAllRows("complaint_capa_actions", "*", (query) => {
+        query = query
+          .eq("complaint_table", table)
+          .neq("status", CAPA_STATUSES.CLOSED)
+          .lt("due_date", today)
+          .order("id", { ascending: true });
+
+        if (owner) query = query.eq("owner", owner);
+        if (root_cause_category) query = query.eq("root_cause_category", root_cause_category);
+        return query;
+      });
+      if (data.length === 0) continue;
+
+      const complaintIds = [...new Set(data.map(action => action.complaint_id))];
+      const byId = new Map();
+      // Keep each IN list short enough for the request URL
+      for (let i = 0; i < complaintIds.length; i += 200) {
+        const { data: complaints } = await fetchAllRows(table, "id, reference_no, customer_name, status", (query) => query
+          .in("id", complaintIds.slice(i, i + 200))
+          .is("deleted_at", null)
+          .order("id", { ascending: true }));
+        complaints.forEach(c => byId.set(c.id, c));
+      }
+
+      data.forEach(action => {
+        const complaint = byId.get(action.complaint_id);
+        // Actions of complaints in the recycle bin are left out
+        if (!complaint) return;
+        result.push({
+          ...action,
+          division: table === "yarn_complaints" ? "Yarn" : "Fabric",
+          reference_no: complaint.reference_no,
+          customer_name: complaint.customer_name,
+          complaint_status: complaint.status,
+          days_overdue: daysBetween(action.due_date, today)
+        });
+      });
+    }
+
+    result.sort((a, b) => b.days_overdue - a.days_overdue);
+
+    res.json({ success: true, data: result, total: result.length });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
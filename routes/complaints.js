@@ -1,20 +1,34 @@
 import express from "express";
 import { supabase } from "../supabase/client.js";
+import { recordAudit } from "../lib/audit.js";
+import {
+  COMPLAINT_TABLES,
+  applyComplaintFilters,
+  applyComplaintSearch,
+  complaintTablesFor
+} from "../lib/complaint-query.js";
+import { COMPLAINT_SCHEMAS, validateComplaint, formatValidationErrors } from "../lib/complaint-schema.js";
+import { softDelete, registerRecycleBin } from "../lib/recycle-bin.js";
+import { recordChanges, registerHistoryRoute } from "../lib/change-history.js";
+import { registerAttachmentRoutes, deleteComplaintAttachments } from "../lib/attachments.js";
+import { LINK_FIELDS, linkComplaintsToDispatch, registerDispatchLinkRoute } from "../lib/dispatch-links.js";
+import { fetchDispatchVolumes } from "../lib/dispatch-volume.js";
+import { fetchAllRows, LIST_MAX_ROWS } from "../lib/paged-fetch.js";
+import { parseListParams, fetchListPage } from "../lib/list-query.js";
+import { countOpenCapaActions, deleteCapaActions, registerCapaRoutes } from "../lib/capa.js";
+import { registerReplyLetterRoutes, deleteReplyLetters } from "../lib/reply-letters.js";
+import { checkImportRows, insertAcceptedRows, summariseImport, importResults } from "../lib/complaint-import.js";
+import {
+  STATUSES,
+  validateStatusUpdate,
+  normalizeStatus,
+  recordStatusTransition,
+  recordInitialStatuses
+} from "../lib/complaint-status.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
-const DATE_COLUMNS = ["query_received_date", "invoice_date", "reply_date", "mfg_date"];
-
-function nullifyDates(obj) {
-  const newObj = { ...obj };
-  DATE_COLUMNS.forEach(col => {
-    if (newObj[col] === "") {
-      newObj[col] = null;
-    }
-  });
-  return newObj;
-}
-
 async function updateMarketMaster(ship_to_city, market) {
   if (!ship_to_city) return;
   try {
@@ -26,138 +40,209 @@ async function updateMarketMaster(ship_to_city, market) {
   }
 }
 
-// Yarn complaints endpoint with filtering support
-router.get("/yarn-complaints", async (req, res) => {
+// A complaint cannot move to Closed while it still has open CAPA actions
+async function checkCapaBeforeClose(table, before, nextStatus) {
+  if (nextStatus !== STATUSES.CLOSED || normalizeStatus(before.status) === STATUSES.CLOSED) return null;
+  const open = await countOpenCapaActions(table, before.id);
+  return open > 0 ? `Cannot close a complaint with ${open} open CAPA action(s)` : null;
+}
+
+// Yarn complaints endpoint with filtering support.
+// Accepts limit, page or cursor, sort and fields (see lib/list-query.js) besides column filters.
+router.get("/yarn-complaints", authorize("complaints", "read"), async (req, res) => {
   try {
-    let query = supabase
-      .from("yarn_complaints")
-      .select("*")
-      .order("query_received_date", { ascending: false });
+    const { includeDeleted, ...params } = req.query;
+    const { options, filters } = parseListParams(params, { defaultSort: "query_received_date:desc" });
 
-    const { startDate, endDate, ...filters } = req.query;
+    const page = await fetchListPage("yarn_complaints", (query) => {
+      if (includeDeleted !== "true") {
+        query = query.is("deleted_at", null);
+      }
+      return applyComplaintFilters(query, filters);
+    }, options);
 
-    if (startDate) {
-      query = query.gte("query_received_date", startDate);
-    }
-    if (endDate) {
-      query = query.lte("query_received_date", endDate);
-    }
+    res.json({ success: true, ...page });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Fabric complaints endpoint with filtering support (same parameters as /yarn-complaints)
+router.get("/fabric-complaints", authorize("complaints", "read"), async (req, res) => {
+  try {
+    const { includeDeleted, ...params } = req.query;
+    const { options, filters } = parseListParams(params, { defaultSort: "query_received_date:desc" });
 
-    Object.entries(filters).forEach(([column, value]) => {
-      if (value) {
-        const filterValues = String(value).split(",");
-        if (filterValues.length > 1) {
-          query = query.in(column, filterValues);
-        } else {
-          query = query.eq(column, value);
-        }
+    const page = await fetchListPage("fabric_complaints", (query) => {
+      if (includeDeleted !== "true") {
+        query = query.is("deleted_at", null);
       }
-    });
+      return applyComplaintFilters(query, filters);
+    }, options);
 
-    const { data, error } = await query;
-    if (error) throw error;
-    res.json({ success: true, data });
+    res.json({ success: true, ...page });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
-// Fabric complaints endpoint with filtering support
-router.get("/fabric-complaints", async (req, res) => {
-  try {
-    let query = supabase
-      .from("fabric_complaints")
-      .select("*")
-      .order("query_received_date", { ascending: false });
+// Search results are merged from both tables in JS, so only columns whose database order JS can
+// reproduce exactly (numbers and dates) are sortable; text collation differs between the two.
+const SEARCH_SORT_TYPES = {
+  id: "number",
+  created_at: "date",
+  ...Object.fromEntries(Object.entries(COMPLAINT_SCHEMAS.yarn_complaints)
+    .filter(([, definition]) => definition.type === "date" || definition.type === "number")
+    .map(([field, definition]) => [field, definition.type]))
+};
+const SEARCH_MAX_PAGE_SIZE = 500;
+
+// Nulls sort last in both directions
+function compareValues(a, b, ascending, type) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  const order = type === "date" ? new Date(a).getTime() - new Date(b).getTime() : Number(a) - Number(b);
+  return ascending ? order : -order;
+}
 
-    const { startDate, endDate, ...filters } = req.query;
+// Search yarn and fabric complaints together. Each row is tagged with its division.
+// Query: q (free text across customer, lot, invoice, nature, remark and reference number),
+// division (Yarn/Fabric, default both), sort (column, default query_received_date),
+// order (asc/desc, default desc), page (from 1), pageSize (default 50), plus the same
+// date and column filters as GET /yarn-complaints. Every table is read up to the end of the
+// requested page, so pages reach at most LIST_MAX_ROWS rows deep; narrow the search to go further.
+router.get("/complaints/search", authorize("complaints", "read"), async (req, res) => {
+  try {
+    const { q, division, sort = "query_received_date", order = "desc", page, pageSize, ...filters } = req.query;
 
-    if (startDate) {
-      query = query.gte("query_received_date", startDate);
+    if (!SEARCH_SORT_TYPES[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot sort by '${sort}'. Allowed: ${Object.keys(SEARCH_SORT_TYPES).join(", ")}`
+      });
     }
-    if (endDate) {
-      query = query.lte("query_received_date", endDate);
+
+    const ascending = order === "asc";
+    const size = Math.min(Math.max(parseInt(pageSize) || 50, 1), SEARCH_MAX_PAGE_SIZE);
+    const pageNo = Math.max(parseInt(page) || 1, 1);
+    const offset = (pageNo - 1) * size;
+    if (offset + size > LIST_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `Search pages end at row ${LIST_MAX_ROWS}; add filters or a search term to narrow the results`
+      });
     }
 
-    Object.entries(filters).forEach(([column, value]) => {
-      if (value) {
-        const filterValues = String(value).split(",");
-        if (filterValues.length > 1) {
-          query = query.in(column, filterValues);
-        } else {
-          query = query.eq(column, value);
-        }
-      }
+    // Each table can contribute at most offset + size rows to the requested page, so fetch
+    // that many from each in the same order and merge
+    const divisions = Object.entries(COMPLAINT_TABLES)
+      .filter(([, table]) => complaintTablesFor(division).includes(table));
+
+    const results = await Promise.all(divisions.map(([, table]) => fetchAllRows(table, "*", (query) => {
+      query = query
+        .is("deleted_at", null)
+        .order(sort, { ascending, nullsFirst: false })
+        .order("id", { ascending });
+
+      query = applyComplaintFilters(query, filters);
+      return applyComplaintSearch(query, q);
+    }, { maxRows: offset + size })));
+
+    let total = 0;
+    const rows = [];
+    results.forEach(({ data, total: tableTotal }, i) => {
+      total += tableTotal;
+      rows.push(...data.map(row => ({ ...row, division: divisions[i][0] })));
     });
 
-    const { data, error } = await query;
-    if (error) throw error;
-    res.json({ success: true, data });
+    rows.sort((a, b) => compareValues(a[sort], b[sort], ascending, SEARCH_SORT_TYPES[sort]) ||
+      compareValues(a.id, b.id, ascending, "number"));
+
+    res.json({
+      success: true,
+      data: rows.slice(offset, offset + size),
+      total,
+      page: pageNo,
+      pageSize: size
+    });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Recycle bin, restore and purge for soft-deleted complaints.
+// Attachments, CAPA actions and reply letters are kept while a complaint sits in the bin and
+// removed when it is purged.
+registerRecycleBin(router, {
+  basePath: "/yarn-complaints",
+  table: "yarn_complaints",
+  resource: "complaints",
+  beforePurge: async (id) => {
+    await deleteComplaintAttachments("yarn_complaints", id);
+    await deleteCapaActions("yarn_complaints", id);
+    await deleteReplyLetters("yarn_complaints", id);
+  }
+});
+registerRecycleBin(router, {
+  basePath: "/fabric-complaints",
+  table: "fabric_complaints",
+  resource: "complaints",
+  beforePurge: async (id) => {
+    await deleteComplaintAttachments("fabric_complaints", id);
+    await deleteCapaActions("fabric_complaints", id);
+    await deleteReplyLetters("fabric_complaints", id);
   }
 });
 
-// Delete yarn complaint
-router.delete("/yarn-complaints/:id", async (req, res) => {
+// Evidence attachments (photos, swatches, lab reports)
+registerAttachmentRoutes(router, { basePath: "/yarn-complaints", table: "yarn_complaints", resource: "complaints" });
+registerAttachmentRoutes(router, { basePath: "/fabric-complaints", table: "fabric_complaints", resource: "complaints" });
+
+// Dispatch rows verified against each complaint's invoice
+registerDispatchLinkRoute(router, { basePath: "/yarn-complaints", table: "yarn_complaints", resource: "complaints" });
+registerDispatchLinkRoute(router, { basePath: "/fabric-complaints", table: "fabric_complaints", resource: "complaints" });
+
+// Corrective and preventive actions
+registerCapaRoutes(router, { basePath: "/yarn-complaints", table: "yarn_complaints", resource: "complaints" });
+registerCapaRoutes(router, { basePath: "/fabric-complaints", table: "fabric_complaints", resource: "complaints" });
+
+// Customer reply letters (HTML / PDF)
+registerReplyLetterRoutes(router, { basePath: "/yarn-complaints", table: "yarn_complaints", resource: "complaints" });
+registerReplyLetterRoutes(router, { basePath: "/fabric-complaints", table: "fabric_complaints", resource: "complaints" });
+
+// Field-level edit history
+registerHistoryRoute(router, { basePath: "/yarn-complaints", entityType: "yarn_complaints", resource: "complaints" });
+registerHistoryRoute(router, { basePath: "/fabric-complaints", entityType: "fabric_complaints", resource: "complaints" });
+
+// Delete yarn complaint (moves it to the recycle bin)
+router.delete("/yarn-complaints/:id", authorize("complaints", "delete"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { deleted_by } = req.query;
-    const { error } = await supabase
-      .from("yarn_complaints")
-      .delete()
-      .eq("id", id);
-    if (error) throw error;
-
-    if (deleted_by) {
-      const { data: userData } = await supabase
-        .from("login_details")
-        .select("work_details")
-        .eq("full_name", deleted_by)
-        .single();
-      
-      const newWorkDetails = (userData?.work_details ? userData.work_details + "\n" : "") + 
-        `Deleted yarn complaint ID ${id} at ${new Date().toLocaleString()}`;
-      
-      await supabase
-        .from("login_details")
-        .update({ work_details: newWorkDetails })
-        .eq("full_name", deleted_by);
+    const deleted = await softDelete("yarn_complaints", id, req.user);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: "Complaint not found" });
     }
 
+    await recordAudit(req.user, { action: "delete", entityType: "yarn_complaints", entityId: id });
+
     res.json({ success: true, message: "Complaint deleted" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// Delete fabric complaint
-router.delete("/fabric-complaints/:id", async (req, res) => {
+// Delete fabric complaint (moves it to the recycle bin)
+router.delete("/fabric-complaints/:id", authorize("complaints", "delete"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { deleted_by } = req.query;
-    const { error } = await supabase
-      .from("fabric_complaints")
-      .delete()
-      .eq("id", id);
-    if (error) throw error;
-
-    if (deleted_by) {
-      const { data: userData } = await supabase
-        .from("login_details")
-        .select("work_details")
-        .eq("full_name", deleted_by)
-        .single();
-      
-      const newWorkDetails = (userData?.work_details ? userData.work_details + "\n" : "") + 
-        `Deleted fabric complaint ID ${id} at ${new Date().toLocaleString()}`;
-      
-      await supabase
-        .from("login_details")
-        .update({ work_details: newWorkDetails })
-        .eq("full_name", deleted_by);
+    const deleted = await softDelete("fabric_complaints", id, req.user);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: "Complaint not found" });
     }
 
+    await recordAudit(req.user, { action: "delete", entityType: "fabric_complaints", entityId: id });
+
     res.json({ success: true, message: "Complaint deleted" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -165,13 +250,37 @@ router.delete("/fabric-complaints/:id", async (req, res) => {
 });
 
 // Update yarn complaint
-router.put("/yarn-complaints/:id", async (req, res) => {
+router.put("/yarn-complaints/:id", authorize("complaints", "update"), async (req, res) => {
   try {
     const { id } = req.params;
-    let updates = req.body;
-    delete updates.id;
-    delete updates.created_at;
-    updates = nullifyDates(updates);
+    // Read-only columns (id, reference_no, ...) are dropped; everything else must match the schema
+    const { value: updates, errors } = validateComplaint("yarn_complaints", req.body, { mode: "update" });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: `Invalid complaint: ${formatValidationErrors(errors)}`, details: errors });
+    }
+
+    const { data: before, error: fetchError } = await supabase
+      .from("yarn_complaints")
+      .select("*")
+      .eq("id", id)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!before) {
+      return res.status(404).json({ success: false, error: "Complaint not found" });
+    }
+
+    const statusCheck = validateStatusUpdate(before, updates);
+    if (statusCheck.error) {
+      return res.status(400).json({ success: false, error: statusCheck.error });
+    }
+    if (updates.status !== undefined) updates.status = statusCheck.status;
+
+    const closeError = await checkCapaBeforeClose("yarn_complaints", before, statusCheck.status);
+    if (closeError) {
+      return res.status(400).json({ success: false, error: closeError });
+    }
 
     const { data, error } = await supabase
       .from("yarn_complaints")
@@ -181,26 +290,61 @@ router.put("/yarn-complaints/:id", async (req, res) => {
       .single();
 
     if (error) throw error;
+
+    await recordAudit(req.user, { action: "update", entityType: "yarn_complaints", entityId: id, payload: updates });
+    await recordChanges(req.user, "yarn_complaints", id, before, data, Object.keys(updates));
+    if (statusCheck.status !== normalizeStatus(before.status)) {
+      await recordStatusTransition(req.user, "yarn_complaints", data.id, before.status ?? null, statusCheck.status);
+    }
+
+    let warnings = [];
+    if (LINK_FIELDS.some(field => field in updates)) {
+      warnings = (await linkComplaintsToDispatch("yarn_complaints", [data]))[data.id] || [];
+    }
     
     // Update market_master if bill_to_region (city) and market are provided
     if (updates.bill_to_region) {
       await updateMarketMaster(updates.bill_to_region, updates.market);
     }
 
-    res.json({ success: true, data });
+    res.json({ success: true, data, warnings });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // Update fabric complaint
-router.put("/fabric-complaints/:id", async (req, res) => {
+router.put("/fabric-complaints/:id", authorize("complaints", "update"), async (req, res) => {
   try {
     const { id } = req.params;
-    let updates = req.body;
-    delete updates.id;
-    delete updates.created_at;
-    updates = nullifyDates(updates);
+    // Read-only columns (id, reference_no, ...) are dropped; everything else must match the schema
+    const { value: updates, errors } = validateComplaint("fabric_complaints", req.body, { mode: "update" });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: `Invalid complaint: ${formatValidationErrors(errors)}`, details: errors });
+    }
+
+    const { data: before, error: fetchError } = await supabase
+      .from("fabric_complaints")
+      .select("*")
+      .eq("id", id)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!before) {
+      return res.status(404).json({ success: false, error: "Complaint not found" });
+    }
+
+    const statusCheck = validateStatusUpdate(before, updates);
+    if (statusCheck.error) {
+      return res.status(400).json({ success: false, error: statusCheck.error });
+    }
+    if (updates.status !== undefined) updates.status = statusCheck.status;
+
+    const closeError = await checkCapaBeforeClose("fabric_complaints", before, statusCheck.status);
+    if (closeError) {
+      return res.status(400).json({ success: false, error: closeError });
+    }
 
     const { data, error } = await supabase
       .from("fabric_complaints")
@@ -211,24 +355,36 @@ router.put("/fabric-complaints/:id", async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req.user, { action: "update", entityType: "fabric_complaints", entityId: id, payload: updates });
+    await recordChanges(req.user, "fabric_complaints", id, before, data, Object.keys(updates));
+    if (statusCheck.status !== normalizeStatus(before.status)) {
+      await recordStatusTransition(req.user, "fabric_complaints", data.id, before.status ?? null, statusCheck.status);
+    }
+
+    let warnings = [];
+    if (LINK_FIELDS.some(field => field in updates)) {
+      warnings = (await linkComplaintsToDispatch("fabric_complaints", [data]))[data.id] || [];
+    }
+
     // Update market_master if bill_to_region (city) and market are provided
     if (updates.bill_to_region) {
       await updateMarketMaster(updates.bill_to_region, updates.market);
     }
 
-    res.json({ success: true, data });
+    res.json({ success: true, data, warnings });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // Create yarn complaint
-router.post("/yarn-complaints", async (req, res) => {
+router.post("/yarn-complaints", authorize("complaints", "create"), async (req, res) => {
   try {
-    let complaint = req.body;
-    delete complaint.id;
-    delete complaint.created_at;
-    complaint = nullifyDates(complaint);
+    // reference_no is assigned by the database on insert (YC/2026-27/0042)
+    const { value: complaint, errors } = validateComplaint("yarn_complaints", req.body, { mode: "create" });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: `Invalid complaint: ${formatValidationErrors(errors)}`, details: errors });
+    }
 
     const { data, error } = await supabase
       .from("yarn_complaints")
@@ -238,24 +394,29 @@ router.post("/yarn-complaints", async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req.user, { action: "create", entityType: "yarn_complaints", entityId: data.id, payload: complaint });
+    await recordStatusTransition(req.user, "yarn_complaints", data.id, null, data.status);
+    const warnings = (await linkComplaintsToDispatch("yarn_complaints", [data]))[data.id] || [];
+
     // Update market_master if bill_to_region (city) and market are provided
     if (complaint.bill_to_region) {
       await updateMarketMaster(complaint.bill_to_region, complaint.market);
     }
 
-    res.json({ success: true, data });
+    res.json({ success: true, data, warnings });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // Create fabric complaint
-router.post("/fabric-complaints", async (req, res) => {
+router.post("/fabric-complaints", authorize("complaints", "create"), async (req, res) => {
   try {
-    let complaint = req.body;
-    delete complaint.id;
-    delete complaint.created_at;
-    complaint = nullifyDates(complaint);
+    // reference_no is assigned by the database on insert (FC/2026-27/0007)
+    const { value: complaint, errors } = validateComplaint("fabric_complaints", req.body, { mode: "create" });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: `Invalid complaint: ${formatValidationErrors(errors)}`, details: errors });
+    }
 
     const { data, error } = await supabase
       .from("fabric_complaints")
@@ -265,155 +426,188 @@ router.post("/fabric-complaints", async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req.user, { action: "create", entityType: "fabric_complaints", entityId: data.id, payload: complaint });
+    await recordStatusTransition(req.user, "fabric_complaints", data.id, null, data.status);
+    const warnings = (await linkComplaintsToDispatch("fabric_complaints", [data]))[data.id] || [];
+
     // Update market_master if bill_to_region (city) and market are provided
     if (complaint.bill_to_region) {
       await updateMarketMaster(complaint.bill_to_region, complaint.market);
     }
 
-    res.json({ success: true, data });
+    res.json({ success: true, data, warnings });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // Bulk add yarn complaints
-router.post("/yarn-complaints/bulk", async (req, res) => {
+router.post("/yarn-complaints/bulk", authorize("complaints", "create"), async (req, res) => {
   try {
     const complaints = req.body;
     if (!Array.isArray(complaints)) {
       throw new Error("Payload must be an array of complaints");
     }
-    const cleaned = complaints.map(c => {
-      const { id, created_at, ...rest } = c;
-      return nullifyDates(rest);
-    });
-    const { data, error } = await supabase
-      .from("yarn_complaints")
-      .insert(cleaned)
-      .select();
-    if (error) throw error;
+    const results = await checkImportRows("yarn_complaints", complaints);
+
+    if (req.query.dryRun === "true") {
+      return res.json({ success: true, dryRun: true, summary: summariseImport(results), results: importResults(results) });
+    }
+
+    const data = await insertAcceptedRows("yarn_complaints", results);
+
+    await recordInitialStatuses(req.user, "yarn_complaints", data);
+    const warnings = await linkComplaintsToDispatch("yarn_complaints", data);
+
+    const summary = summariseImport(results);
+    if (data.length > 0) {
+      await recordAudit(req.user, {
+        action: "bulk_create",
+        entityType: "yarn_complaints",
+        payload: { count: data.length, ids: data.map(row => row.id), skipped: summary.skipped, failed: summary.failed }
+      });
+    }
 
     // Bulk update market_master
-    for (const c of cleaned) {
+    for (const c of data) {
       if (c.bill_to_region) {
         await updateMarketMaster(c.bill_to_region, c.market);
       }
     }
 
-    res.json({ success: true, data });
+    res.json({
+      success: true,
+      data,
+      inserted: summary.inserted,
+      skipped: summary.skipped,
+      failed: summary.failed,
+      results: importResults(results),
+      warnings
+    });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // Bulk add fabric complaints
-router.post("/fabric-complaints/bulk", async (req, res) => {
+router.post("/fabric-complaints/bulk", authorize("complaints", "create"), async (req, res) => {
   try {
     const complaints = req.body;
     if (!Array.isArray(complaints)) {
       throw new Error("Payload must be an array of complaints");
     }
-    const cleaned = complaints.map(c => {
-      const { id, created_at, ...rest } = c;
-      return nullifyDates(rest);
-    });
-    const { data, error } = await supabase
-      .from("fabric_complaints")
-      .insert(cleaned)
-      .select();
-    if (error) throw error;
+    const results = await checkImportRows("fabric_complaints", complaints);
+
+    if (req.query.dryRun === "true") {
+      return res.json({ success: true, dryRun: true, summary: summariseImport(results), results: importResults(results) });
+    }
+
+    const data = await insertAcceptedRows("fabric_complaints", results);
+
+    await recordInitialStatuses(req.user, "fabric_complaints", data);
+    const warnings = await linkComplaintsToDispatch("fabric_complaints", data);
+
+    const summary = summariseImport(results);
+    if (data.length > 0) {
+      await recordAudit(req.user, {
+        action: "bulk_create",
+        entityType: "fabric_complaints",
+        payload: { count: data.length, ids: data.map(row => row.id), skipped: summary.skipped, failed: summary.failed }
+      });
+    }
 
     // Bulk update market_master
-    for (const c of cleaned) {
+    for (const c of data) {
       if (c.bill_to_region) {
         await updateMarketMaster(c.bill_to_region, c.market);
       }
     }
 
-    res.json({ success: true, data });
+    res.json({
+      success: true,
+      data,
+      inserted: summary.inserted,
+      skipped: summary.skipped,
+      failed: summary.failed,
+      results: importResults(results),
+      warnings
+    });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// Get aggregated billed quantity from dispatch_data for complaints charts
-router.get("/dispatch-stats", async (req, res) => {
+// Time spent in each workflow stage, from complaint_status_history.
+// Optional division (Yarn/Fabric) and startDate/endDate on when the stage was entered.
+router.get("/complaint-stage-durations", authorize("complaints", "read"), async (req, res) => {
   try {
-    const { division, startDate, endDate, ...filters } = req.query;
-    
-    let query = supabase
-      .from("dispatch_data")
-      .select("plant, market, billing_date, billed_quantity, customer_name");
-
-    // Filter by division (YARN or GREY FABRIC)
-    if (division === "Yarn") {
-      query = query.ilike("division_description", "%YARN%");
-    } else if (division === "Fabric") {
-      query = query.ilike("division_description", "%FABRIC%");
-    }
-
-    // Date filters matching complaints selected time frame
-    if (startDate) query = query.gte("billing_date", startDate);
-    if (endDate) query = query.lte("billing_date", endDate);
-
-    // Apply other filters (market, etc.)
-    Object.entries(filters).forEach(([col, val]) => {
-      if (val) {
-        const values = String(val).split(",");
-        if (values.length > 1) {
-          query = query.in(col, values);
-        } else {
-          query = query.eq(col, val);
-        }
-      }
-    });
-
-    const { data, error } = await query;
-    if (error) throw error;
-
-    const stats = {
-      unit: {},
-      market: {},
-      customer: {},
-      month: {},
-      year: {},
-      total: 0
+    const { division, startDate, endDate } = req.query;
+    const tables = complaintTablesFor(division);
+
+    const getDurations = async (table) => {
+      // History rows of complaints in the recycle bin are left out
+      const { data: active } = await fetchAllRows(table, "id", (query) => query
+        .is("deleted_at", null)
+        .order("id", { ascending: true }));
+      const activeIds = new Set(active.map(row => String(row.id)));
+
+      const { data: history } = await fetchAllRows("complaint_status_history", "complaint_id, to_status, changed_at", (query) => query
+        .eq("complaint_table", table)
+        .order("complaint_id", { ascending: true })
+        .order("changed_at", { ascending: true })
+        .order("id", { ascending: true }));
+      const data = history.filter(row => activeIds.has(String(row.complaint_id)));
+
+      const now = Date.now();
+      const stages = {};
+      Object.values(STATUSES).forEach(status => {
+        stages[status] = { count: 0, ongoing: 0, totalDays: 0, maxDays: 0 };
+      });
+
+      data.forEach((row, index) => {
+        const enteredAt = new Date(row.changed_at).getTime();
+        if (startDate && row.changed_at < startDate) return;
+        if (endDate && row.changed_at.slice(0, 10) > endDate) return;
+        // Closed is terminal unless reopened, so it has no duration of its own
+        if (row.to_status === STATUSES.CLOSED || !stages[row.to_status]) return;
+
+        const next = data[index + 1];
+        const sameComplaint = next && next.complaint_id === row.complaint_id;
+        const leftAt = sameComplaint ? new Date(next.changed_at).getTime() : now;
+        const days = (leftAt - enteredAt) / 86400000;
+
+        const stage = stages[row.to_status];
+        stage.count++;
+        if (!sameComplaint) stage.ongoing++;
+        stage.totalDays += days;
+        stage.maxDays = Math.max(stage.maxDays, days);
+      });
+
+      Object.values(stages).forEach(stage => {
+        stage.avgDays = stage.count > 0 ? stage.totalDays / stage.count : 0;
+      });
+      delete stages[STATUSES.CLOSED];
+      return stages;
     };
 
-    const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-
-    data.forEach(item => {
-      // Parse billed_quantity: "8,870 KG" -> 8.87 MT
-      const qtyStr = String(item.billed_quantity || "0");
-      const qtyKg = parseFloat(qtyStr.replace(/,/g, "").split(" ")[0]) || 0;
-      const qtyMT = qtyKg / 1000;
-
-      // Plant mapping: 1101 -> 1 for Yarn, 1201 -> 1201 for Fabric
-      const p = parseInt(item.plant);
-      const mappedPlant = (division === "Yarn") ? (p % 100) : p;
-      const unit = String(mappedPlant);
-
-      const market = String(item.market || "Unknown");
-      const customer = String(item.customer_name || "Unknown");
-      
-      const date = new Date(item.billing_date);
-      if (!isNaN(date.getTime())) {
-        const month = MONTH_NAMES[date.getMonth()];
-        const year = String(date.getFullYear());
-
-        stats.month[month] = (stats.month[month] || 0) + qtyMT;
-        stats.year[year] = (stats.year[year] || 0) + qtyMT;
-      }
+    const result = {};
+    for (const table of tables) {
+      result[table === "yarn_complaints" ? "yarn" : "fabric"] = await getDurations(table);
+    }
 
-      stats.unit[unit] = (stats.unit[unit] || 0) + qtyMT;
-      stats.market[market] = (stats.market[market] || 0) + qtyMT;
-      stats.customer[customer] = (stats.customer[customer] || 0) + qtyMT;
-      stats.total += qtyMT;
-    });
+    res.json({ success: true, data: result });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
+// Get aggregated billed quantity from dispatch_data for complaints charts
+router.get("/dispatch-stats", authorize("dispatch", "read"), async (req, res) => {
+  try {
+    const stats = await fetchDispatchVolumes(req.query);
     res.json({ success: true, stats });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
@@ -1,10 +1,13 @@
 import express from "express";
 import { supabase } from "../supabase/client.js";
+import { recordAudit } from "../lib/audit.js";
+import { softDelete, registerRecycleBin } from "../lib/recycle-bin.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // Get all cotton groups/varieties
-router.get("/cotton/groups", async (req, res) => {
+router.get("/cotton/groups", authorize("cotton", "read"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("cotton_groups")
@@ -19,7 +22,7 @@ router.get("/cotton/groups", async (req, res) => {
 });
 
 // Get planning history
-router.get("/cotton/planning", async (req, res) => {
+router.get("/cotton/planning", authorize("cotton", "read"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("cotton_planning")
@@ -27,6 +30,7 @@ router.get("/cotton/planning", async (req, res) => {
         *,
         cotton_planning_blend (*)
       `)
+      .is("deleted_at", null)
       .order("unit", { ascending: true });
 
     if (error) throw error;
@@ -37,7 +41,7 @@ router.get("/cotton/planning", async (req, res) => {
 });
 
 // Save a new planning
-router.post("/cotton/planning", async (req, res) => {
+router.post("/cotton/planning", authorize("cotton", "create"), async (req, res) => {
   const { unit, laydown_consumption, no_of_bales_per_laydown, blend } = req.body;
   
   if (!unit || laydown_consumption === undefined || no_of_bales_per_laydown === undefined) {
@@ -71,49 +75,47 @@ router.post("/cotton/planning", async (req, res) => {
       if (blendError) throw blendError;
     }
 
+    await recordAudit(req.user, {
+      action: "create",
+      entityType: "cotton_planning",
+      entityId: planningData.id,
+      payload: { unit, laydown_consumption, no_of_bales_per_laydown, blend }
+    });
+
     res.json({ success: true, data: planningData });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// Delete a planning
-router.delete("/cotton/planning/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { deleted_by } = req.query;
-    
-    // First delete blends due to foreign key
-    const { error: blendError } = await supabase
+// Recycle bin, restore and purge for soft-deleted plannings
+registerRecycleBin(router, {
+  basePath: "/cotton/planning",
+  table: "cotton_planning",
+  resource: "cotton",
+  // Blends reference the planning, so they go first
+  beforePurge: async (id) => {
+    const { error } = await supabase
       .from("cotton_planning_blend")
       .delete()
       .eq("planning_id", id);
+    if (error) throw error;
+  }
+});
 
-    if (blendError) throw blendError;
-
-    const { error: planningError } = await supabase
-      .from("cotton_planning")
-      .delete()
-      .eq("id", id);
-
-    if (planningError) throw planningError;
+// Delete a planning (moves it to the recycle bin)
+router.delete("/cotton/planning/:id", authorize("cotton", "delete"), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    if (deleted_by) {
-      const { data: userData } = await supabase
-        .from("login_details")
-        .select("work_details")
-        .eq("full_name", deleted_by)
-        .single();
-      
-      const newWorkDetails = (userData?.work_details ? userData.work_details + "\n" : "") + 
-        `Deleted cotton planning ID ${id} at ${new Date().toLocaleString()}`;
-      
-      await supabase
-        .from("login_details")
-        .update({ work_details: newWorkDetails })
-        .eq("full_name", deleted_by);
+    // Blends stay attached so a restored planning comes back complete
+    const deleted = await softDelete("cotton_planning", id, req.user);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: "Planning not found" });
     }
 
+    await recordAudit(req.user, { action: "delete", entityType: "cotton_planning", entityId: id });
+
     res.json({ success: true, message: "Planning deleted" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -121,7 +123,7 @@ router.delete("/cotton/planning/:id", async (req, res) => {
 });
 
 // Update a planning
-router.put("/cotton/planning/:id", async (req, res) => {
+router.put("/cotton/planning/:id", authorize("cotton", "update"), async (req, res) => {
   const { id } = req.params;
   const { unit, laydown_consumption, no_of_bales_per_laydown, blend } = req.body;
   
@@ -131,12 +133,17 @@ router.put("/cotton/planning/:id", async (req, res) => {
 
   try {
     // 1. Update main table
-    const { error: planningError } = await supabase
+    const { data: updated, error: planningError } = await supabase
       .from("cotton_planning")
       .update({ unit, laydown_consumption, no_of_bales_per_laydown })
-      .eq("id", id);
+      .eq("id", id)
+      .is("deleted_at", null)
+      .select("id");
 
     if (planningError) throw planningError;
+    if (updated.length === 0) {
+      return res.status(404).json({ success: false, error: "Planning not found" });
+    }
 
     // 1.5. Always update unit name in blend table to keep in sync
     const { error: syncError } = await supabase
@@ -174,6 +181,13 @@ router.put("/cotton/planning/:id", async (req, res) => {
       }
     }
 
+    await recordAudit(req.user, {
+      action: "update",
+      entityType: "cotton_planning",
+      entityId: id,
+      payload: { unit, laydown_consumption, no_of_bales_per_laydown, blend }
+    });
+
     res.json({ success: true, message: "Planning updated" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -181,7 +195,7 @@ router.put("/cotton/planning/:id", async (req, res) => {
 });
 
 // Add a new cotton group/variety
-router.post("/cotton/groups", async (req, res) => {
+router.post("/cotton/groups", authorize("cotton", "create"), async (req, res) => {
   const { cotton_group, cotton_variety, avg_bale_weight } = req.body;
   
   if (!cotton_group || !cotton_variety || avg_bale_weight === undefined) {
@@ -195,6 +209,7 @@ router.post("/cotton/groups", async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    await recordAudit(req.user, { action: "create", entityType: "cotton_groups", entityId: data.id, payload: { cotton_group, cotton_variety, avg_bale_weight } });
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -202,7 +217,7 @@ router.post("/cotton/groups", async (req, res) => {
 });
 
 // Update a cotton group/variety
-router.put("/cotton/groups/:id", async (req, res) => {
+router.put("/cotton/groups/:id", authorize("cotton", "update"), async (req, res) => {
   const { id } = req.params;
   const { cotton_group, cotton_variety, avg_bale_weight } = req.body;
 
@@ -218,6 +233,7 @@ router.put("/cotton/groups/:id", async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    await recordAudit(req.user, { action: "update", entityType: "cotton_groups", entityId: id, payload: { cotton_group, cotton_variety, avg_bale_weight } });
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -225,31 +241,16 @@ router.put("/cotton/groups/:id", async (req, res) => {
 });
 
 // Delete a cotton group/variety
-router.delete("/cotton/groups/:id", async (req, res) => {
+router.delete("/cotton/groups/:id", authorize("cotton", "delete"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { deleted_by } = req.query;
     const { error } = await supabase
       .from("cotton_groups")
       .delete()
       .eq("id", id);
     if (error) throw error;
 
-    if (deleted_by) {
-      const { data: userData } = await supabase
-        .from("login_details")
-        .select("work_details")
-        .eq("full_name", deleted_by)
-        .single();
-      
-      const newWorkDetails = (userData?.work_details ? userData.work_details + "\n" : "") + 
-        `Deleted cotton variety ID ${id} at ${new Date().toLocaleString()}`;
-      
-      await supabase
-        .from("login_details")
-        .update({ work_details: newWorkDetails })
-        .eq("full_name", deleted_by);
-    }
+    await recordAudit(req.user, { action: "delete", entityType: "cotton_groups", entityId: id });
 
     res.json({ success: true, message: "Variety deleted" });
   } catch (err) {
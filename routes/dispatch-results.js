@@ -1,20 +1,28 @@
 import express from "express";
 import { supabase } from "../supabase/client.js";
+import { recordAudit } from "../lib/audit.js";
+import { applyFilters, parseFilters, tableColumns } from "../lib/filters.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
-// Get all dispatch results
-router.get("/dispatch-results", async (req, res) => {
+// Get all dispatch results. Query parameters naming a dispatch_results column are filters in the
+// shared filter grammar (lib/filters.js), e.g. ?lot_no=L123 or ?created_at[gte]=2026-04-01.
+// Other parameters (cache busters, columns merged in from dispatch_data such as billing_date)
+// are ignored, as they always were here.
+router.get("/dispatch-results", authorize("dispatch", "read"), async (req, res) => {
   try {
-    const { lot_no } = req.query;
+    // Columns are unknown only while the table is empty, when there is nothing to filter
+    const columns = (await tableColumns("dispatch_results")) || [];
+    const filters = Object.fromEntries(Object.entries(req.query)
+      .filter(([key]) => columns.includes(key.replace(/\[.*$/, ""))));
+    const conditions = parseFilters(filters, { columns });
     let query = supabase
       .from("dispatch_results")
       .select("*")
       .order("created_at", { ascending: false });
 
-    if (lot_no) {
-      query = query.eq("lot_no", lot_no);
-    }
+    query = applyFilters(query, conditions);
 
     const { data: results, error: resultsError } = await query;
     if (resultsError) throw resultsError;
@@ -54,12 +62,12 @@ router.get("/dispatch-results", async (req, res) => {
 
     res.json({ success: true, data: results });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
 // Add new dispatch result
-router.post("/dispatch-results", async (req, res) => {
+router.post("/dispatch-results", authorize("dispatch", "create"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("dispatch_results")
@@ -67,6 +75,8 @@ router.post("/dispatch-results", async (req, res) => {
       .select();
 
     if (error) throw error;
+
+    await recordAudit(req.user, { action: "create", entityType: "dispatch_results", entityId: data[0]?.id, payload: req.body });
     res.json({ success: true, data: data[0] });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -74,7 +84,7 @@ router.post("/dispatch-results", async (req, res) => {
 });
 
 // Batch add dispatch results
-router.post("/dispatch-results/batch", async (req, res) => {
+router.post("/dispatch-results/batch", authorize("dispatch", "create"), async (req, res) => {
   try {
     const { results } = req.body;
     if (!Array.isArray(results) || results.length === 0) {
@@ -125,6 +135,12 @@ router.post("/dispatch-results/batch", async (req, res) => {
       .select();
 
     if (error) throw error;
+
+    await recordAudit(req.user, {
+      action: "bulk_create",
+      entityType: "dispatch_results",
+      payload: { count: data.length, skipped: skippedCount, ids: data.map(row => row.id) }
+    });
     res.json({ success: true, data, inserted: toInsert.length, skipped: skippedCount });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -132,7 +148,7 @@ router.post("/dispatch-results/batch", async (req, res) => {
 });
 
 // Update Count and Customer information from master tables - Plan
-router.get("/dispatch-results/update-masters-plan", async (req, res) => {
+router.get("/dispatch-results/update-masters-plan", authorize("dispatch", "read"), async (req, res) => {
   try {
     const { data: countMaster } = await supabase
       .from("count_master")
@@ -190,7 +206,7 @@ router.get("/dispatch-results/update-masters-plan", async (req, res) => {
 });
 
 // Update Count and Customer information from master tables - Execute
-router.post("/dispatch-results/update-masters-execute", async (req, res) => {
+router.post("/dispatch-results/update-masters-execute", authorize("dispatch", "update"), async (req, res) => {
   try {
     const { updates } = req.body;
     if (!Array.isArray(updates)) throw new Error("Invalid updates format");
@@ -204,6 +220,7 @@ router.post("/dispatch-results/update-masters-execute", async (req, res) => {
         .eq("id", id);
     }));
 
+    await recordAudit(req.user, { action: "bulk_update", entityType: "dispatch_results", payload: { updates } });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -211,7 +228,7 @@ router.post("/dispatch-results/update-masters-execute", async (req, res) => {
 });
 
 // Deprecated old endpoint
-router.post("/dispatch-results/update-masters", async (req, res) => {
+router.post("/dispatch-results/update-masters", authorize("dispatch", "update"), async (req, res) => {
   res.status(410).json({ success: false, error: "This endpoint is deprecated. Use update-masters-plan and update-masters-execute." });
 });
 
@@ -1,73 +1,66 @@
 import express from "express";
 import { supabase } from "../supabase/client.js";
+import { recordAudit } from "../lib/audit.js";
+import { softDelete, registerRecycleBin } from "../lib/recycle-bin.js";
+import { recordChanges, registerHistoryRoute } from "../lib/change-history.js";
+import { fetchAllRows } from "../lib/paged-fetch.js";
+import { parseListParams, fetchListPage } from "../lib/list-query.js";
+import { applyFilters, parseTableFilters } from "../lib/filters.js";
+import { parseQuantity, rowQuantityKg, withParsedQuantity } from "../lib/quantity.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
-// Dispatch data endpoint with filtering support
-router.get("/dispatch-data", async (req, res) => {
+// Dispatch data endpoint with filtering support.
+// Accepts limit, page or cursor, sort and fields (see lib/list-query.js) besides column filters
+// in the shared filter grammar (lib/filters.js).
+router.get("/dispatch-data", authorize("dispatch", "read"), async (req, res) => {
   try {
-    let query = supabase
-      .from("dispatch_data")
-      .select("*")
-      .or('canceled.is.null,canceled.neq.X')
-      .order("created_at", { ascending: false });
+    const { startDate, endDate, includeDeleted, ...params } = req.query;
+    const { options, filters } = parseListParams(params, { defaultSort: "created_at:desc" });
+    const conditions = await parseTableFilters("dispatch_data", filters);
 
-    const { startDate, endDate, ...filters } = req.query;
+    const page = await fetchListPage("dispatch_data", (query) => {
+      query = query.or('canceled.is.null,canceled.neq.X');
 
-    // Use billing_date as the date field
-    if (startDate) {
-      query = query.gte("billing_date", startDate);
-    }
-    if (endDate) {
-      query = query.lte("billing_date", endDate);
-    }
+      if (includeDeleted !== "true") {
+        query = query.is("deleted_at", null);
+      }
 
-    Object.entries(filters).forEach(([column, value]) => {
-      if (value) {
-        const filterValues = String(value).split(",");
-        if (filterValues.length > 1) {
-          query = query.in(column, filterValues);
-        } else {
-          query = query.eq(column, value);
-        }
+      // Use billing_date as the date field
+      if (startDate) {
+        query = query.gte("billing_date", startDate);
+      }
+      if (endDate) {
+        query = query.lte("billing_date", endDate);
       }
-    });
 
-    const { data, error } = await query;
-    if (error) throw error;
-    res.json({ success: true, data });
+      return applyFilters(query, conditions);
+    }, options);
+
+    res.json({ success: true, ...page });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
-// Delete dispatch entry
-router.delete("/dispatch-data/:id", async (req, res) => {
+// Recycle bin, restore and purge for soft-deleted dispatch entries
+registerRecycleBin(router, { basePath: "/dispatch-data", table: "dispatch_data", resource: "dispatch" });
+
+// Field-level edit history
+registerHistoryRoute(router, { basePath: "/dispatch-data", entityType: "dispatch_data", resource: "dispatch" });
+
+// Delete dispatch entry (moves it to the recycle bin)
+router.delete("/dispatch-data/:id", authorize("dispatch", "delete"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { deleted_by } = req.query;
-    const { error } = await supabase
-      .from("dispatch_data")
-      .delete()
-      .eq("id", id);
-    if (error) throw error;
-
-    if (deleted_by) {
-      const { data: userData } = await supabase
-        .from("login_details")
-        .select("work_details")
-        .eq("full_name", deleted_by)
-        .single();
-      
-      const newWorkDetails = (userData?.work_details ? userData.work_details + "\n" : "") + 
-        `Deleted dispatch entry ID ${id} at ${new Date().toLocaleString()}`;
-      
-      await supabase
-        .from("login_details")
-        .update({ work_details: newWorkDetails })
-        .eq("full_name", deleted_by);
+    const deleted = await softDelete("dispatch_data", id, req.user);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: "Entry not found" });
     }
 
+    await recordAudit(req.user, { action: "delete", entityType: "dispatch_data", entityId: id });
+
     res.json({ success: true, message: "Entry deleted" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -75,12 +68,35 @@ router.delete("/dispatch-data/:id", async (req, res) => {
 });
 
 // Update dispatch entry
-router.put("/dispatch-data/:id", async (req, res) => {
+router.put("/dispatch-data/:id", authorize("dispatch", "update"), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
     delete updates.id;
     delete updates.created_at;
+    // The numeric quantity is derived from billed_quantity, never sent directly
+    delete updates.billed_quantity_kg;
+    delete updates.billed_quantity_unit;
+
+    if ("billed_quantity" in updates) {
+      const { value, error: quantityError } = withParsedQuantity({ billed_quantity: updates.billed_quantity });
+      if (quantityError) {
+        return res.status(400).json({ success: false, error: quantityError });
+      }
+      Object.assign(updates, value);
+    }
+
+    const { data: before, error: fetchError } = await supabase
+      .from("dispatch_data")
+      .select("*")
+      .eq("id", id)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!before) {
+      return res.status(404).json({ success: false, error: "Entry not found" });
+    }
 
     const { data, error } = await supabase
       .from("dispatch_data")
@@ -90,6 +106,9 @@ router.put("/dispatch-data/:id", async (req, res) => {
       .single();
 
     if (error) throw error;
+
+    await recordAudit(req.user, { action: "update", entityType: "dispatch_data", entityId: id, payload: updates });
+    await recordChanges(req.user, "dispatch_data", id, before, data, Object.keys(updates));
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -97,21 +116,37 @@ router.put("/dispatch-data/:id", async (req, res) => {
 });
 
 // Bulk add dispatch entries
-router.post("/dispatch-data/bulk", async (req, res) => {
+router.post("/dispatch-data/bulk", authorize("dispatch", "create"), async (req, res) => {
   try {
     const entries = req.body;
     if (!Array.isArray(entries)) {
       throw new Error("Payload must be an array");
     }
-    const cleaned = entries.map(c => {
+    const errors = [];
+    const cleaned = entries.map((c, index) => {
       const { id, created_at, ...rest } = c;
-      return rest;
+      const { value, error } = withParsedQuantity(rest);
+      if (error) errors.push({ row: index, field: "billed_quantity", message: error });
+      return value;
     });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid dispatch entries: ${errors.map(e => `row ${e.row}: ${e.message}`).join("; ")}`,
+        details: errors
+      });
+    }
     const { data, error } = await supabase
       .from("dispatch_data")
       .insert(cleaned)
       .select();
     if (error) throw error;
+
+    await recordAudit(req.user, {
+      action: "bulk_create",
+      entityType: "dispatch_data",
+      payload: { count: data.length, ids: data.map(row => row.id) }
+    });
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -119,7 +154,7 @@ router.post("/dispatch-data/bulk", async (req, res) => {
 });
 
 // Get dispatch info by invoice number for auto-population
-router.get("/dispatch-data/by-invoice/:invoiceNo", async (req, res) => {
+router.get("/dispatch-data/by-invoice/:invoiceNo", authorize("dispatch", "read"), async (req, res) => {
   try {
     const { invoiceNo } = req.params;
     const { data, error } = await supabase
@@ -127,6 +162,7 @@ router.get("/dispatch-data/by-invoice/:invoiceNo", async (req, res) => {
       .select("*")
       .eq("billing_document", invoiceNo)
       .or('canceled.is.null,canceled.neq.X')
+      .is("deleted_at", null)
       .limit(1);
 
     if (error) throw error;
@@ -142,7 +178,7 @@ router.get("/dispatch-data/by-invoice/:invoiceNo", async (req, res) => {
 });
 
 // Check for duplicates
-router.post("/dispatch-data/check-duplicates", async (req, res) => {
+router.post("/dispatch-data/check-duplicates", authorize("dispatch", "create"), async (req, res) => {
   try {
     const entries = req.body;
     if (!Array.isArray(entries)) {
@@ -163,13 +199,15 @@ router.post("/dispatch-data/check-duplicates", async (req, res) => {
     // Actually, a better way is to fetch existing records that match the billing documents
     const billingDocs = [...new Set(entries.map(e => e.billing_document))];
     
-    const { data: existing, error } = await supabase
-      .from("dispatch_data")
-      .select("billing_document, billing_date, bill_to_customer, lot_no, plant, product, item_description, billed_quantity, no_of_package, gross_weight, vehicle_number")
-      .in("billing_document", billingDocs);
-      
-    if (error) throw error;
+    const { data: existing } = await fetchAllRows(
+      "dispatch_data",
+      "billing_document, billing_date, bill_to_customer, lot_no, plant, product, item_description, billed_quantity, billed_quantity_kg, no_of_package, gross_weight, vehicle_number",
+      (query) => query.in("billing_document", billingDocs).is("deleted_at", null).order("id", { ascending: true })
+    );
     
+    // Quantities are compared in kg, so "8,870 KG" matches a stored 8870
+    const entryKg = (entry) => parseQuantity(entry.billed_quantity)?.kg ?? null;
+
     const isDuplicate = (entry, existingRecords) => {
       return existingRecords.some(r => 
         String(r.billing_document) === String(entry.billing_document) &&
@@ -179,7 +217,7 @@ router.post("/dispatch-data/check-duplicates", async (req, res) => {
         String(r.plant) === String(entry.plant) &&
         String(r.product) === String(entry.product) &&
         String(r.item_description) === String(entry.item_description) &&
-        Number(r.billed_quantity) === Number(entry.billed_quantity) &&
+        rowQuantityKg(r) === entryKg(entry) &&
         Number(r.no_of_package) === Number(entry.no_of_package) &&
         Number(r.gross_weight) === Number(entry.gross_weight) &&
         String(r.vehicle_number) === String(entry.vehicle_number)
@@ -200,7 +238,7 @@ router.post("/dispatch-data/check-duplicates", async (req, res) => {
 });
 
 // Sync dispatch_data with master tables with progress streaming
-router.post("/sync-master-data", async (req, res) => {
+router.post("/sync-master-data", authorize("dispatch", "update"), async (req, res) => {
   try {
     // Set headers for streaming
     res.setHeader('Content-Type', 'application/json');
@@ -212,15 +250,14 @@ router.post("/sync-master-data", async (req, res) => {
 
     // 1. Fetch all master data first to calculate total
     const [countRes, marketRes, customerRes] = await Promise.all([
-      supabase.from("count_master").select("item_description, smpl_count, blend").or('smpl_count.neq."",blend.neq.""'),
-      supabase.from("market_master").select("ship_to_city, market").not("market", "is", null).neq("market", ""),
-      supabase.from("customer_master").select("bill_to_customer, customer_name").not("customer_name", "is", null).neq("customer_name", "")
+      fetchAllRows("count_master", "item_description, smpl_count, blend", (query) =>
+        query.or('smpl_count.neq."",blend.neq.""').order("item_description", { ascending: true })),
+      fetchAllRows("market_master", "ship_to_city, market", (query) =>
+        query.not("market", "is", null).neq("market", "").order("ship_to_city", { ascending: true })),
+      fetchAllRows("customer_master", "bill_to_customer, customer_name", (query) =>
+        query.not("customer_name", "is", null).neq("customer_name", "").order("bill_to_customer", { ascending: true }))
     ]);
 
-    if (countRes.error) throw countRes.error;
-    if (marketRes.error) throw marketRes.error;
-    if (customerRes.error) throw customerRes.error;
-
     const countMaster = countRes.data;
     const marketMaster = marketRes.data;
     const customerMaster = customerRes.data;
@@ -262,6 +299,8 @@ router.post("/sync-master-data", async (req, res) => {
       supabase.from("dispatch_data").update({ customer_name: item.customer_name }).eq("bill_to_customer", item.bill_to_customer)
     );
 
+    await recordAudit(req.user, { action: "sync_masters", entityType: "dispatch_data", payload: { total: totalTasks } });
+
     sendProgress({ type: "complete", message: "Dispatch master data updated successfully" });
     res.end();
   } catch (err) {
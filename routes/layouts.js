@@ -1,16 +1,24 @@
 import express from "express";
 import { supabase } from "../supabase/client.js";
+import { recordAudit } from "../lib/audit.js";
+import { softDelete, registerRecycleBin } from "../lib/recycle-bin.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
+// Recycle bin, restore and purge for soft-deleted layouts.
+// Registered first so "/table-layout/recycle-bin" is not taken for a table name.
+registerRecycleBin(router, { basePath: "/table-layout", table: "table_layouts", resource: "layouts" });
+
 // Get saved table layout list
-router.get("/table-layouts/:tableName", async (req, res) => {
+router.get("/table-layouts/:tableName", authorize("layouts", "read"), async (req, res) => {
   try {
     const { tableName } = req.params;
     const { data, error } = await supabase
       .from("table_layouts")
       .select("id, layout_name, layout, updated_at")
       .eq("table_name", tableName)
+      .is("deleted_at", null)
       .order("updated_at", { ascending: false });
 
     if (error) throw error;
@@ -21,7 +29,7 @@ router.get("/table-layouts/:tableName", async (req, res) => {
 });
 
 // Save / update table layout
-router.post("/table-layout", async (req, res) => {
+router.post("/table-layout", authorize("layouts", "create"), async (req, res) => {
   try {
     const { id, table_name, layout_name, layout } = req.body;
     if (!table_name || !layout_name || !layout) {
@@ -33,7 +41,10 @@ router.post("/table-layout", async (req, res) => {
       layout_name,
       layout,
       user_id: null,
-      updated_at: new Date()
+      updated_at: new Date(),
+      // Saving over a layout that sits in the recycle bin brings it back
+      deleted_at: null,
+      deleted_by: null
     };
 
     if (id) upsertData.id = id;
@@ -47,6 +58,13 @@ router.post("/table-layout", async (req, res) => {
       .single();
 
     if (error) throw error;
+
+    await recordAudit(req.user, {
+      action: id ? "update" : "create",
+      entityType: "table_layouts",
+      entityId: data.id,
+      payload: { table_name, layout_name }
+    });
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -54,13 +72,14 @@ router.post("/table-layout", async (req, res) => {
 });
 
 // Get single table layout
-router.get("/table-layout/:tableName", async (req, res) => {
+router.get("/table-layout/:tableName", authorize("layouts", "read"), async (req, res) => {
   try {
     const { tableName } = req.params;
     const { data, error } = await supabase
       .from("table_layouts")
       .select("*")
       .eq("table_name", tableName)
+      .is("deleted_at", null)
       .order("updated_at", { ascending: false })
       .limit(1)
       .single();
@@ -72,33 +91,17 @@ router.get("/table-layout/:tableName", async (req, res) => {
   }
 });
 
-// Delete table layout
-router.delete("/table-layout/:id", async (req, res) => {
+// Delete table layout (moves it to the recycle bin)
+router.delete("/table-layout/:id", authorize("layouts", "delete"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { deleted_by } = req.query;
-    const { error } = await supabase
-      .from("table_layouts")
-      .delete()
-      .eq("id", id);
-    if (error) throw error;
-
-    if (deleted_by) {
-      const { data: userData } = await supabase
-        .from("login_details")
-        .select("work_details")
-        .eq("full_name", deleted_by)
-        .single();
-      
-      const newWorkDetails = (userData?.work_details ? userData.work_details + "\n" : "") + 
-        `Deleted table layout ID ${id} at ${new Date().toLocaleString()}`;
-      
-      await supabase
-        .from("login_details")
-        .update({ work_details: newWorkDetails })
-        .eq("full_name", deleted_by);
+    const deleted = await softDelete("table_layouts", id, req.user);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: "Layout not found" });
     }
 
+    await recordAudit(req.user, { action: "delete", entityType: "table_layouts", entityId: id });
+
     res.json({ success: true, message: "Layout deleted successfully" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
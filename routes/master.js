@@ -1,18 +1,19 @@
 import express from "express";
 import { supabase } from "../supabase/client.js";
+import { recordAudit } from "../lib/audit.js";
+import { fetchAllRows } from "../lib/paged-fetch.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // Refresh Yarn Count Master
-router.post("/master/refresh-yarn-count", async (req, res) => {
+router.post("/master/refresh-yarn-count", authorize("masters", "update"), async (req, res) => {
   try {
-    const { data: uniqueItems, error: fetchError } = await supabase
-      .from("dispatch_data")
-      .select("item_description, division_description")
+    const { data: uniqueItems } = await fetchAllRows("dispatch_data", "item_description, division_description", (query) => query
       .ilike("division_description", "Yarn")
-      .or('canceled.is.null,canceled.neq.X');
-
-    if (fetchError) throw fetchError;
+      .or('canceled.is.null,canceled.neq.X')
+      .is("deleted_at", null)
+      .order("id", { ascending: true }));
 
     // Use a Map to keep unique item_description and its division
     const uniqueMap = new Map();
@@ -33,6 +34,7 @@ router.post("/master/refresh-yarn-count", async (req, res) => {
 
     if (upsertError) throw upsertError;
 
+    await recordAudit(req.user, { action: "refresh", entityType: "count_master", payload: { count: upsertData.length } });
     res.json({ success: true, message: "Yarn count master refreshed" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -40,15 +42,13 @@ router.post("/master/refresh-yarn-count", async (req, res) => {
 });
 
 // Refresh Fabric Count Master
-router.post("/master/refresh-fabric-count", async (req, res) => {
+router.post("/master/refresh-fabric-count", authorize("masters", "update"), async (req, res) => {
   try {
-    const { data: uniqueItems, error: fetchError } = await supabase
-      .from("dispatch_data")
-      .select("item_description, division_description")
+    const { data: uniqueItems } = await fetchAllRows("dispatch_data", "item_description, division_description", (query) => query
       .not("division_description", "ilike", "Yarn")
-      .or('canceled.is.null,canceled.neq.X');
-
-    if (fetchError) throw fetchError;
+      .or('canceled.is.null,canceled.neq.X')
+      .is("deleted_at", null)
+      .order("id", { ascending: true }));
 
     const uniqueMap = new Map();
     uniqueItems.forEach(item => {
@@ -68,6 +68,7 @@ router.post("/master/refresh-fabric-count", async (req, res) => {
 
     if (upsertError) throw upsertError;
 
+    await recordAudit(req.user, { action: "refresh", entityType: "count_master", payload: { count: upsertData.length } });
     res.json({ success: true, message: "Fabric count master refreshed" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -75,14 +76,12 @@ router.post("/master/refresh-fabric-count", async (req, res) => {
 });
 
 // Refresh Market Master
-router.post("/master/refresh-market", async (req, res) => {
+router.post("/master/refresh-market", authorize("masters", "update"), async (req, res) => {
   try {
-    const { data: uniqueCities, error: fetchError } = await supabase
-      .from("dispatch_data")
-      .select("ship_to_city")
-      .or('canceled.is.null,canceled.neq.X');
-
-    if (fetchError) throw fetchError;
+    const { data: uniqueCities } = await fetchAllRows("dispatch_data", "ship_to_city", (query) => query
+      .or('canceled.is.null,canceled.neq.X')
+      .is("deleted_at", null)
+      .order("id", { ascending: true }));
 
     const cities = [...new Set(uniqueCities.map(i => i.ship_to_city))].filter(Boolean);
     
@@ -97,6 +96,7 @@ router.post("/master/refresh-market", async (req, res) => {
 
     if (upsertError) throw upsertError;
 
+    await recordAudit(req.user, { action: "refresh", entityType: "market_master", payload: { count: upsertData.length } });
     res.json({ success: true, message: "Market master refreshed" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -104,14 +104,12 @@ router.post("/master/refresh-market", async (req, res) => {
 });
 
 // Refresh Customer Master
-router.post("/master/refresh-customer", async (req, res) => {
+router.post("/master/refresh-customer", authorize("masters", "update"), async (req, res) => {
   try {
-    const { data: uniqueCustomers, error: fetchError } = await supabase
-      .from("dispatch_data")
-      .select("bill_to_customer")
-      .or('canceled.is.null,canceled.neq.X');
-
-    if (fetchError) throw fetchError;
+    const { data: uniqueCustomers } = await fetchAllRows("dispatch_data", "bill_to_customer", (query) => query
+      .or('canceled.is.null,canceled.neq.X')
+      .is("deleted_at", null)
+      .order("id", { ascending: true }));
 
     const customers = [...new Set(uniqueCustomers.map(i => i.bill_to_customer))].filter(Boolean);
     
@@ -126,6 +124,7 @@ router.post("/master/refresh-customer", async (req, res) => {
 
     if (upsertError) throw upsertError;
 
+    await recordAudit(req.user, { action: "refresh", entityType: "customer_master", payload: { count: upsertData.length } });
     res.json({ success: true, message: "Customer master refreshed" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -133,7 +132,7 @@ router.post("/master/refresh-customer", async (req, res) => {
 });
 
 // Get Pending Yarn Count Master
-router.get("/master/pending-yarn-count", async (req, res) => {
+router.get("/master/pending-yarn-count", authorize("masters", "read"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("count_master")
@@ -149,7 +148,7 @@ router.get("/master/pending-yarn-count", async (req, res) => {
 });
 
 // Get Pending Fabric Count Master
-router.get("/master/pending-fabric-count", async (req, res) => {
+router.get("/master/pending-fabric-count", authorize("masters", "read"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("count_master")
@@ -165,7 +164,7 @@ router.get("/master/pending-fabric-count", async (req, res) => {
 });
 
 // Get Pending Market Master
-router.get("/master/pending-market", async (req, res) => {
+router.get("/master/pending-market", authorize("masters", "read"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("market_master")
@@ -180,7 +179,7 @@ router.get("/master/pending-market", async (req, res) => {
 });
 
 // Get Pending Customer Master
-router.get("/master/pending-customer", async (req, res) => {
+router.get("/master/pending-customer", authorize("masters", "read"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("customer_master")
@@ -195,7 +194,7 @@ router.get("/master/pending-customer", async (req, res) => {
 });
 
 // Update Count Master
-router.put("/master/count/:id", async (req, res) => {
+router.put("/master/count/:id", authorize("masters", "update"), async (req, res) => {
   try {
     const { id } = req.params;
     const { smpl_count, blend } = req.body;
@@ -206,6 +205,7 @@ router.put("/master/count/:id", async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    await recordAudit(req.user, { action: "update", entityType: "count_master", entityId: id, payload: { smpl_count, blend } });
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -213,7 +213,7 @@ router.put("/master/count/:id", async (req, res) => {
 });
 
 // Update Market Master
-router.put("/master/market/:id", async (req, res) => {
+router.put("/master/market/:id", authorize("masters", "update"), async (req, res) => {
   try {
     const { id } = req.params;
     const { market } = req.body;
@@ -224,6 +224,7 @@ router.put("/master/market/:id", async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    await recordAudit(req.user, { action: "update", entityType: "market_master", entityId: id, payload: { market } });
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -231,7 +232,7 @@ router.put("/master/market/:id", async (req, res) => {
 });
 
 // Update Customer Master
-router.put("/master/customer/:id", async (req, res) => {
+router.put("/master/customer/:id", authorize("masters", "update"), async (req, res) => {
   try {
     const { id } = req.params;
     const { customer_name } = req.body;
@@ -242,6 +243,7 @@ router.put("/master/customer/:id", async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    await recordAudit(req.user, { action: "update", entityType: "customer_master", entityId: id, payload: { customer_name } });
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -249,7 +251,7 @@ router.put("/master/customer/:id", async (req, res) => {
 });
 
 // Get unique existing values for suggestions
-router.get("/master/suggestions/:type", async (req, res) => {
+router.get("/master/suggestions/:type", authorize("masters", "read"), async (req, res) => {
   try {
     const { type } = req.params;
     let table, column;
@@ -270,14 +272,12 @@ router.get("/master/suggestions/:type", async (req, res) => {
       return res.status(400).json({ success: false, error: "Invalid type" });
     }
 
-    const { data, error } = await supabase
-      .from(table)
-      .select(column)
+    const { data } = await fetchAllRows(table, column, (query) => query
       .not(column, "is", null)
-      .neq(column, "");
+      .neq(column, "")
+      .order(column, { ascending: true }));
+
 
-    if (error) throw error;
-    
     const uniqueValues = [...new Set(data.map(i => i[column]))].sort();
     res.json({ success: true, data: uniqueValues });
   } catch (err) {
@@ -286,7 +286,7 @@ router.get("/master/suggestions/:type", async (req, res) => {
 });
 
 // Get Market Mappings for auto-population
-router.get("/master/market-mappings", async (req, res) => {
+router.get("/master/market-mappings", authorize("masters", "read"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("market_master")
@@ -1,4 +1,5 @@
 import express from "express";
+import { authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -8,7 +9,7 @@ const getOrientations = (l, w, h) => [
   { h, l, w }, { h, w, l }
 ];
 
-router.post("/analyse-stuffing", async (req, res) => {
+router.post("/analyse-stuffing", authorize("stuffing", "read"), async (req, res) => {
   try {
     const { type, container, cone, conesPerCarton2, carton1, carton2 } = req.body;
     const count1 = Number(cone.conesPerCarton);
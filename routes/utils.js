@@ -1,10 +1,16 @@
 import express from "express";
 import { supabase } from "../supabase/client.js";
+import { authorize, authorizeTable } from "../middleware/auth.js";
+import { SOFT_DELETE_TABLES } from "../lib/recycle-bin.js";
+import { STATUSES, normalizeStatus } from "../lib/complaint-status.js";
+import { missingFields } from "../lib/complaint-schema.js";
+import { fetchAllRows } from "../lib/paged-fetch.js";
+import { applyFilters, parseFilters, tableColumns } from "../lib/filters.js";
 
 const router = express.Router();
 
 // Get table columns
-router.get("/table-columns/:tableName", async (req, res) => {
+router.get("/table-columns/:tableName", authorizeTable("read"), async (req, res) => {
   try {
     const { tableName } = req.params;
     const { data, error } = await supabase
@@ -22,50 +28,51 @@ router.get("/table-columns/:tableName", async (req, res) => {
 });
 
 // Get unique values for a column to populate filter dropdown
-router.get("/unique-values/:tableName/:columnName", async (req, res) => {
+router.get("/unique-values/:tableName/:columnName", authorizeTable("read"), async (req, res) => {
   try {
     const { tableName, columnName } = req.params;
-    const filters = req.query;
-
-    let query = supabase
-      .from(tableName)
-      .select(columnName)
-      .not(columnName, "is", null);
-
-    if (tableName === "dispatch_data") {
-      query = query.or('canceled.is.null,canceled.neq.X');
+    const columns = await tableColumns(tableName);
+    if (columns && !columns.includes(columnName)) {
+      return res.status(400).json({ success: false, error: `Unknown column '${columnName}'` });
     }
+    const conditions = parseFilters(req.query, { columns });
 
-    // Apply additional filters from query parameters
-    Object.entries(filters).forEach(([key, value]) => {
-      if (value) {
-        query = query.eq(key, value);
+    // Ordered by the column itself, so rows that tie across page boundaries share a value
+    const { data } = await fetchAllRows(tableName, columnName, (query) => {
+      query = query.not(columnName, "is", null).order(columnName, { ascending: true });
+
+      if (tableName === "dispatch_data") {
+        query = query.or('canceled.is.null,canceled.neq.X');
+      }
+      if (SOFT_DELETE_TABLES.includes(tableName)) {
+        query = query.is("deleted_at", null);
       }
-    });
 
-    const { data, error } = await query;
+      // Apply additional filters from query parameters
+      return applyFilters(query, conditions);
+    });
 
-    if (error) throw error;
     const uniqueValues = [...new Set(data.map(item => item[columnName]))]
       .filter(val => val !== "" && val !== null)
       .sort();
 
     res.json({ success: true, data: uniqueValues });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
 // Get available years for any table and date column
-router.get("/available-years/:tableName/:dateColumn", async (req, res) => {
+router.get("/available-years/:tableName/:dateColumn", authorizeTable("read"), async (req, res) => {
   try {
     const { tableName, dateColumn } = req.params;
-    const { data, error } = await supabase
-      .from(tableName)
-      .select(dateColumn)
-      .not(dateColumn, "is", null);
-
-    if (error) throw error;
+    const { data } = await fetchAllRows(tableName, dateColumn, (query) => {
+      query = query.not(dateColumn, "is", null).order(dateColumn, { ascending: true });
+      if (SOFT_DELETE_TABLES.includes(tableName)) {
+        query = query.is("deleted_at", null);
+      }
+      return query;
+    });
 
     const years = new Set();
     data.forEach(item => {
@@ -85,7 +92,7 @@ router.get("/available-years/:tableName/:dateColumn", async (req, res) => {
 });
 
 // Get maximum date for a column
-router.get("/max-date/:tableName/:dateColumn", async (req, res) => {
+router.get("/max-date/:tableName/:dateColumn", authorizeTable("read"), async (req, res) => {
   try {
     const { tableName, dateColumn } = req.params;
     const { data, error } = await supabase
@@ -107,16 +114,14 @@ router.get("/max-date/:tableName/:dateColumn", async (req, res) => {
 });
 
 // GET available years for complaints
-router.get("/available-years", async (req, res) => {
+router.get("/available-years", authorize("complaints", "read"), async (req, res) => {
   try {
+    const activeDates = (query) => query.is("deleted_at", null).order("query_received_date", { ascending: true });
     const [yarnRes, fabricRes] = await Promise.all([
-      supabase.from("yarn_complaints").select("query_received_date"),
-      supabase.from("fabric_complaints").select("query_received_date")
+      fetchAllRows("yarn_complaints", "query_received_date", activeDates),
+      fetchAllRows("fabric_complaints", "query_received_date", activeDates)
     ]);
 
-    if (yarnRes.error) throw yarnRes.error;
-    if (fabricRes.error) throw fabricRes.error;
-
     const years = new Set();
     years.add(new Date().getFullYear().toString());
 
@@ -142,53 +147,50 @@ router.get("/available-years", async (req, res) => {
 });
 
 // GET complaint statistics (Open, Closed, Incomplete)
-router.get("/complaint-stats", async (req, res) => {
+router.get("/complaint-stats", authorize("complaints", "read"), async (req, res) => {
   try {
-    const { year, ...filters } = req.query;
-    
+    const { year, ...params } = req.query;
+    // The frontend sends "undefined" for unset dropdowns
+    const filters = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== "undefined"));
+
     const getStats = async (tableName) => {
-      let query = supabase.from(tableName).select("*");
-      
-      if (year) {
-        query = query.gte("query_received_date", `${year}-01-01`).lte("query_received_date", `${year}-12-31`);
-      }
+      const conditions = parseFilters(filters, { columns: await tableColumns(tableName) });
+
+      const { data } = await fetchAllRows(tableName, "*", (query) => {
+        query = query.is("deleted_at", null).order("id", { ascending: true });
 
-      // Apply additional filters (e.g., market, nature_of_complaint, status)
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value && value !== "undefined") {
-          query = query.eq(key, value);
+        if (year) {
+          query = query.gte("query_received_date", `${year}-01-01`).lte("query_received_date", `${year}-12-31`);
         }
-      });
 
-      const { data, error } = await query;
-      if (error) throw error;
+        // Apply additional filters (e.g., market, nature_of_complaint, status)
+        return applyFilters(query, conditions);
+      });
 
       let open = 0;
       let closed = 0;
       let incomplete = 0;
       let totalComplaints = data.length;
       let customers = new Set();
+      const byStatus = {};
       
       data.forEach(row => {
-        // Status checks
-        const status = (row.status || "").toLowerCase();
-        if (status === "open") open++;
-        else if (status === "closed" || status === "close") closed++;
+        // Status checks: anything not yet Closed counts as open
+        const status = normalizeStatus(row.status);
+        if (status === STATUSES.CLOSED) closed++;
+        else open++;
+        byStatus[status || "Unknown"] = (byStatus[status || "Unknown"] || 0) + 1;
         
         // Customer count
         if (row.customer_name) {
           customers.add(row.customer_name);
         }
 
-        // Incomplete checks
-        const isIncomplete = Object.entries(row).some(([key, value]) => {
-          if (["id", "created_at", "action_taken", "remark", "complaint_qty", "analysis_and_outcome", "reply_date", "mfg_date", "mfg_month", "cotton", "complaint_mode", "nature_of_complaint"].includes(key)) return false;
-          return value === null || value === "" || value === undefined;
-        });
-        if (isIncomplete) incomplete++;
+        // Incomplete checks: any required or expected schema field left empty
+        if (missingFields(tableName, row).length > 0) incomplete++;
       });
 
-      return { open, closed, incomplete, totalComplaints, totalCustomers: customers.size };
+      return { open, closed, incomplete, totalComplaints, totalCustomers: customers.size, byStatus };
     };
 
     const [yarn, fabric] = await Promise.all([
@@ -198,7 +200,7 @@ router.get("/complaint-stats", async (req, res) => {
 
     res.json({ success: true, data: { yarn, fabric } });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
@@ -1,9 +1,12 @@
 import express from "express";
 import { supabase } from "../supabase/client.js";
+import { recordAudit } from "../lib/audit.js";
+import { recordChanges, registerHistoryRoute } from "../lib/change-history.js";
+import { authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
-router.get("/yarn-realization", async (req, res) => {
+router.get("/yarn-realization", authorize("yarn_realization", "read"), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("yarn_realization")
@@ -18,11 +21,22 @@ router.get("/yarn-realization", async (req, res) => {
   }
 });
 
-router.put("/yarn-realization/:id", async (req, res) => {
+// Field-level edit history
+registerHistoryRoute(router, { basePath: "/yarn-realization", entityType: "yarn_realization", resource: "yarn_realization" });
+
+router.put("/yarn-realization/:id", authorize("yarn_realization", "update"), async (req, res) => {
   const { id } = req.params;
   const updateData = req.body;
   
   try {
+    const { data: before, error: fetchError } = await supabase
+      .from("yarn_realization")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
     const { data, error } = await supabase
       .from("yarn_realization")
       .update(updateData)
@@ -30,6 +44,9 @@ router.put("/yarn-realization/:id", async (req, res) => {
       .select();
 
     if (error) throw error;
+
+    await recordAudit(req.user, { action: "update", entityType: "yarn_realization", entityId: id, payload: updateData });
+    await recordChanges(req.user, "yarn_realization", id, before, data[0], Object.keys(updateData));
     res.json({ success: true, data: data[0] });
   } catch (err) {
     console.error("Yarn realization update error:", err);
@@ -37,7 +54,7 @@ router.put("/yarn-realization/:id", async (req, res) => {
   }
 });
 
-router.post("/yarn-realization", async (req, res) => {
+router.post("/yarn-realization", authorize("yarn_realization", "create"), async (req, res) => {
   const insertData = req.body;
   
   try {
@@ -47,6 +64,13 @@ router.post("/yarn-realization", async (req, res) => {
       .select();
 
     if (error) throw error;
+
+    await recordAudit(req.user, {
+      action: "create",
+      entityType: "yarn_realization",
+      entityId: data.length === 1 ? data[0].id : null,
+      payload: insertData
+    });
     res.json({ success: true, data });
   } catch (err) {
     console.error("Yarn realization insert error:", err);
@@ -0,0 +1,129 @@
+// One-time back-fill of the free-text login_details.work_details trail into audit_log.
+// Lines look like "Deleted yarn complaint ID 42 at 10/18/2026, 3:04:05 PM". Lines that do not
+// match are kept as "legacy_note" events. Users whose trail was already back-filled are skipped.
+//
+// The timestamps were written with the server's toLocaleString(), so their field order depends on
+// the locale the server ran in: pass --date-order=mdy (en-US, the default) or --date-order=dmy
+// (en-IN, en-GB). They are read in the script's time zone; set TZ to the server's, e.g.
+//   TZ=Asia/Kolkata npm run migrate:backfill-audit -- --date-order=dmy
+import { supabase } from "../supabase/client.js";
+
+const ENTITY_TYPES = {
+  "yarn complaint": "yarn_complaints",
+  "fabric complaint": "fabric_complaints",
+  "dispatch entry": "dispatch_data",
+  "table layout": "table_layouts",
+  "cotton planning": "cotton_planning",
+  "cotton variety": "cotton_groups",
+  "user": "login_details"
+};
+
+const DELETE_LINE = /^Deleted (.+?) ID (\S+) at (.+)$/;
+
+const DATE_ORDERS = ["mdy", "dmy"];
+const dateOrderArg = process.argv.find(arg => arg.startsWith("--date-order="));
+const DATE_ORDER = dateOrderArg ? dateOrderArg.slice("--date-order=".length).toLowerCase() : "mdy";
+
+// "10/18/2026, 3:04:05 PM" (mdy) or "18/10/2026, 3:04:05 pm" (dmy); 24-hour times have no am/pm.
+// Returns an ISO timestamp, or null when the text does not match or names an impossible date.
+function parseLocaleDate(text) {
+  const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}),?\s+(\d{1,2}):(\d{2}):(\d{2})\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  const [, first, second, year, hours, minutes, seconds, meridiem] = match;
+  const [month, day] = DATE_ORDER === "dmy" ? [Number(second), Number(first)] : [Number(first), Number(second)];
+  let h = Number(hours);
+  if (meridiem && meridiem.toLowerCase() === "pm" && h < 12) h += 12;
+  if (meridiem && meridiem.toLowerCase() === "am" && h === 12) h = 0;
+
+  const parsed = new Date(Number(year), month - 1, day, h, Number(minutes), Number(seconds));
+  // Date rolls 31/02 over into March; reject instead
+  if (parsed.getMonth() !== month - 1 || parsed.getDate() !== day || h > 23) return null;
+  return parsed.toISOString();
+}
+
+function toAuditEvent(user, line) {
+  const base = { actor_id: user.id, actor_name: user.full_name };
+  const match = line.match(DELETE_LINE);
+
+  if (match && ENTITY_TYPES[match[1]]) {
+    const createdAt = parseLocaleDate(match[3]);
+    if (!createdAt) console.warn(`Unreadable timestamp '${match[3]}' for user ${user.id}; using the account creation time`);
+    return {
+      ...base,
+      action: "delete",
+      entity_type: ENTITY_TYPES[match[1]],
+      entity_id: match[2],
+      payload: { source: "work_details", text: line },
+      created_at: createdAt || user.created_at
+    };
+  }
+
+  return {
+    ...base,
+    action: "legacy_note",
+    entity_type: "login_details",
+    entity_id: String(user.id),
+    payload: { source: "work_details", text: line },
+    created_at: user.created_at
+  };
+}
+
+async function backfill() {
+  if (!DATE_ORDERS.includes(DATE_ORDER)) {
+    console.error(`--date-order must be one of: ${DATE_ORDERS.join(", ")}`);
+    process.exit(1);
+  }
+
+  const { data: users, error } = await supabase
+    .from("login_details")
+    .select("id, full_name, work_details, created_at")
+    .not("work_details", "is", null)
+    .neq("work_details", "");
+
+  if (error) {
+    console.error("Failed to fetch users:", error.message);
+    process.exit(1);
+  }
+
+  let inserted = 0;
+  let skippedUsers = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    const { count, error: countError } = await supabase
+      .from("audit_log")
+      .select("id", { count: "exact", head: true })
+      .eq("actor_id", user.id)
+      .eq("payload->>source", "work_details");
+
+    if (countError) {
+      console.error(`Failed to check user ${user.id}:`, countError.message);
+      failed++;
+      continue;
+    }
+    if (count > 0) {
+      skippedUsers++;
+      continue;
+    }
+
+    const events = user.work_details
+      .split("\n")
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => toAuditEvent(user, line));
+
+    const { error: insertError } = await supabase.from("audit_log").insert(events);
+    if (insertError) {
+      console.error(`Failed to back-fill user ${user.id} (${user.full_name}):`, insertError.message);
+      failed++;
+    } else {
+      inserted += events.length;
+    }
+  }
+
+  console.log(`Audit back-fill complete: ${inserted} events inserted, ${skippedUsers} users already done, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+backfill();
@@ -0,0 +1,60 @@
+// One-time back-fill of dispatch_data.billed_quantity_kg / billed_quantity_unit from the
+// billed_quantity text. Each distinct text is parsed once and written to every row carrying it.
+// Rows already filled are left alone; texts that cannot be read are listed and stay null.
+import { supabase } from "../supabase/client.js";
+import { fetchAllRows } from "../lib/paged-fetch.js";
+import { parseQuantity } from "../lib/quantity.js";
+
+async function backfill() {
+  let rows;
+  try {
+    // Soft-deleted rows are included so they are correct if restored
+    ({ data: rows } = await fetchAllRows("dispatch_data", "id, billed_quantity", (query) => query
+      .is("billed_quantity_kg", null)
+      .order("id", { ascending: true })));
+  } catch (err) {
+    console.error("Failed to fetch dispatch rows:", err.message);
+    process.exit(1);
+  }
+
+  const byText = new Map();
+  rows.forEach(row => {
+    const key = row.billed_quantity ?? "";
+    if (!byText.has(key)) byText.set(key, []);
+    byText.get(key).push(row.id);
+  });
+
+  let updated = 0;
+  let unreadable = 0;
+  let failed = 0;
+
+  for (const [text, ids] of byText) {
+    const parsed = parseQuantity(text);
+    if (!parsed) {
+      console.warn(`Unreadable billed_quantity '${text}' on ${ids.length} row(s), e.g. id ${ids[0]}`);
+      unreadable += ids.length;
+      continue;
+    }
+
+    // Keep each IN list short enough for the request URL
+    for (let i = 0; i < ids.length; i += 200) {
+      const batch = ids.slice(i, i + 200);
+      const { error } = await supabase
+        .from("dispatch_data")
+        .update({ billed_quantity_kg: parsed.kg, billed_quantity_unit: parsed.unit })
+        .in("id", batch);
+
+      if (error) {
+        console.error(`Failed to update rows for '${text}':`, error.message);
+        failed += batch.length;
+      } else {
+        updated += batch.length;
+      }
+    }
+  }
+
+  console.log(`Quantity back-fill complete: ${updated} rows updated, ${unreadable} unreadable, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+backfill();
@@ -0,0 +1,44 @@
+// One-time migration: replace plaintext login_details.secret_password values with scrypt hashes.
+// Rows that already hold a hash are left untouched, so the script is safe to re-run.
+import { supabase } from "../supabase/client.js";
+import { hashPassword, isPasswordHash } from "../lib/password.js";
+
+async function migrate() {
+  const { data: users, error } = await supabase
+    .from("login_details")
+    .select("id, full_name, secret_password");
+
+  if (error) {
+    console.error("Failed to fetch users:", error.message);
+    process.exit(1);
+  }
+
+  let migrated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    if (!user.secret_password || isPasswordHash(user.secret_password)) {
+      skipped++;
+      continue;
+    }
+
+    const passwordHash = await hashPassword(user.secret_password);
+    const { error: updateError } = await supabase
+      .from("login_details")
+      .update({ secret_password: passwordHash })
+      .eq("id", user.id);
+
+    if (updateError) {
+      console.error(`Failed to migrate user ${user.id} (${user.full_name}):`, updateError.message);
+      failed++;
+    } else {
+      migrated++;
+    }
+  }
+
+  console.log(`Password migration complete: ${migrated} hashed, ${skipped} skipped, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+migrate();
@@ -0,0 +1,14 @@
+-- Sessions backing the access/refresh token pair issued by POST /api/login
+create table if not exists user_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id bigint not null references login_details (id) on delete cascade,
+  refresh_token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  last_refreshed_at timestamptz,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_sessions_user_id_idx on user_sessions (user_id);
@@ -0,0 +1,15 @@
+-- Every POST /api/login attempt, successful or not
+create table if not exists login_history (
+  id bigint generated always as identity primary key,
+  user_id bigint references login_details (id) on delete set null,
+  role text,
+  full_name text,
+  success boolean not null,
+  failure_reason text,
+  ip_address text,
+  user_agent text,
+  attempted_at timestamptz not null default now()
+);
+
+create index if not exists login_history_user_attempted_idx on login_history (user_id, attempted_at desc);
+create index if not exists login_history_attempted_idx on login_history (attempted_at desc);
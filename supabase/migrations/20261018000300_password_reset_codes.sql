@@ -0,0 +1,12 @@
+-- One-time password reset codes issued by admins (POST /api/users/:id/reset-code)
+create table if not exists password_reset_codes (
+  id bigint generated always as identity primary key,
+  user_id bigint not null references login_details (id) on delete cascade,
+  code_hash text not null,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_by bigint references login_details (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_codes_code_hash_idx on password_reset_codes (code_hash);
@@ -0,0 +1,15 @@
+-- Structured audit trail replacing free-text appends to login_details.work_details
+create table if not exists audit_log (
+  id bigint generated always as identity primary key,
+  actor_id bigint references login_details (id) on delete set null,
+  actor_name text,
+  action text not null,
+  entity_type text not null,
+  entity_id text,
+  payload jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_idx on audit_log (created_at desc);
+create index if not exists audit_log_entity_idx on audit_log (entity_type, entity_id);
+create index if not exists audit_log_actor_idx on audit_log (actor_id, created_at desc);
@@ -0,0 +1,15 @@
+-- Soft delete: DELETE endpoints set these instead of removing the row
+alter table yarn_complaints add column if not exists deleted_at timestamptz;
+alter table yarn_complaints add column if not exists deleted_by text;
+alter table fabric_complaints add column if not exists deleted_at timestamptz;
+alter table fabric_complaints add column if not exists deleted_by text;
+alter table dispatch_data add column if not exists deleted_at timestamptz;
+alter table dispatch_data add column if not exists deleted_by text;
+alter table cotton_planning add column if not exists deleted_at timestamptz;
+alter table cotton_planning add column if not exists deleted_by text;
+alter table table_layouts add column if not exists deleted_at timestamptz;
+alter table table_layouts add column if not exists deleted_by text;
+
+create index if not exists yarn_complaints_deleted_at_idx on yarn_complaints (deleted_at);
+create index if not exists fabric_complaints_deleted_at_idx on fabric_complaints (deleted_at);
+create index if not exists dispatch_data_deleted_at_idx on dispatch_data (deleted_at);
@@ -0,0 +1,14 @@
+-- Field-level history of edits to complaints, dispatch rows and yarn realization
+create table if not exists change_history (
+  id bigint generated always as identity primary key,
+  entity_type text not null,
+  entity_id text not null,
+  field_name text not null,
+  old_value jsonb,
+  new_value jsonb,
+  changed_by bigint references login_details (id) on delete set null,
+  changed_by_name text,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists change_history_entity_idx on change_history (entity_type, entity_id, changed_at);
@@ -0,0 +1,21 @@
+-- Complaint status lifecycle: Registered -> Under Investigation -> Analysis Done -> Replied -> Closed (-> Reopened)
+
+-- Map the old free-text statuses onto the workflow
+update yarn_complaints set status = 'Closed' where lower(trim(status)) in ('closed', 'close');
+update yarn_complaints set status = 'Registered' where status is null or lower(trim(status)) in ('', 'open');
+update fabric_complaints set status = 'Closed' where lower(trim(status)) in ('closed', 'close');
+update fabric_complaints set status = 'Registered' where status is null or lower(trim(status)) in ('', 'open');
+
+create table if not exists complaint_status_history (
+  id bigint generated always as identity primary key,
+  complaint_table text not null check (complaint_table in ('yarn_complaints', 'fabric_complaints')),
+  complaint_id bigint not null,
+  from_status text,
+  to_status text not null,
+  changed_by bigint references login_details (id) on delete set null,
+  changed_by_name text,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists complaint_status_history_complaint_idx
+  on complaint_status_history (complaint_table, complaint_id, changed_at);
@@ -0,0 +1,82 @@
+-- Human-readable complaint reference numbers: YC/2026-27/0042 (yarn), FC/2026-27/0007 (fabric).
+-- Numbering is per division and financial year (April to March), taken from query_received_date
+-- (or the insert date when that is empty). The counter row is incremented inside the inserting
+-- transaction, so a failed insert rolls the number back and the sequence stays gap-free.
+
+create table if not exists complaint_reference_counters (
+  prefix text not null,
+  financial_year text not null,
+  last_number integer not null,
+  primary key (prefix, financial_year)
+);
+
+create or replace function complaint_financial_year(d date)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when extract(month from d) >= 4
+      then extract(year from d)::int || '-' || lpad(((extract(year from d)::int + 1) % 100)::text, 2, '0')
+    else (extract(year from d)::int - 1) || '-' || lpad((extract(year from d)::int % 100)::text, 2, '0')
+  end
+$$;
+
+create or replace function next_complaint_reference(p_prefix text, p_date date)
+returns text
+language plpgsql
+as $$
+declare
+  fy text := complaint_financial_year(coalesce(p_date, current_date));
+  n integer;
+begin
+  insert into complaint_reference_counters as c (prefix, financial_year, last_number)
+  values (p_prefix, fy, 1)
+  on conflict (prefix, financial_year) do update set last_number = c.last_number + 1
+  returning last_number into n;
+
+  return p_prefix || '/' || fy || '/' || lpad(n::text, 4, '0');
+end
+$$;
+
+create or replace function assign_complaint_reference()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.reference_no := next_complaint_reference(tg_argv[0], new.query_received_date::date);
+  return new;
+end
+$$;
+
+alter table yarn_complaints add column if not exists reference_no text;
+alter table fabric_complaints add column if not exists reference_no text;
+
+-- Number existing complaints in received-date order
+do $$
+declare
+  r record;
+begin
+  for r in select id, query_received_date from yarn_complaints where reference_no is null
+           order by query_received_date nulls last, id loop
+    update yarn_complaints set reference_no = next_complaint_reference('YC', r.query_received_date::date) where id = r.id;
+  end loop;
+  for r in select id, query_received_date from fabric_complaints where reference_no is null
+           order by query_received_date nulls last, id loop
+    update fabric_complaints set reference_no = next_complaint_reference('FC', r.query_received_date::date) where id = r.id;
+  end loop;
+end
+$$;
+
+create unique index if not exists yarn_complaints_reference_no_key on yarn_complaints (reference_no);
+create unique index if not exists fabric_complaints_reference_no_key on fabric_complaints (reference_no);
+
+drop trigger if exists yarn_complaints_reference_no on yarn_complaints;
+create trigger yarn_complaints_reference_no
+  before insert on yarn_complaints
+  for each row execute function assign_complaint_reference('YC');
+
+drop trigger if exists fabric_complaints_reference_no on fabric_complaints;
+create trigger fabric_complaints_reference_no
+  before insert on fabric_complaints
+  for each row execute function assign_complaint_reference('FC');
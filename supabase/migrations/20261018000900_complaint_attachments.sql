@@ -0,0 +1,16 @@
+-- Evidence files (photos, swatches, lab reports) attached to complaints.
+-- The file itself lives in the configured storage backend under storage_key.
+create table if not exists complaint_attachments (
+  id bigint generated always as identity primary key,
+  complaint_table text not null check (complaint_table in ('yarn_complaints', 'fabric_complaints')),
+  complaint_id bigint not null,
+  file_name text not null,
+  mime_type text not null,
+  size_bytes integer not null,
+  storage_key text not null unique,
+  uploaded_by bigint references login_details (id) on delete set null,
+  uploaded_by_name text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists complaint_attachments_complaint_idx on complaint_attachments (complaint_table, complaint_id);
@@ -0,0 +1,12 @@
+-- Verified links between complaints and the dispatch_data rows of their invoice
+create table if not exists complaint_dispatch_links (
+  id bigint generated always as identity primary key,
+  complaint_table text not null check (complaint_table in ('yarn_complaints', 'fabric_complaints')),
+  complaint_id bigint not null,
+  dispatch_id bigint not null references dispatch_data (id) on delete cascade,
+  billing_document text,
+  verified_at timestamptz not null default now(),
+  unique (complaint_table, complaint_id, dispatch_id)
+);
+
+create index if not exists complaint_dispatch_links_complaint_idx on complaint_dispatch_links (complaint_table, complaint_id);
@@ -0,0 +1,22 @@
+-- Corrective and preventive actions (CAPA) raised against complaints.
+-- A complaint cannot be Closed while any of its actions is not Closed.
+create table if not exists complaint_capa_actions (
+  id bigint generated always as identity primary key,
+  complaint_table text not null check (complaint_table in ('yarn_complaints', 'fabric_complaints')),
+  complaint_id bigint not null,
+  action_type text not null default 'Corrective' check (action_type in ('Corrective', 'Preventive')),
+  description text not null,
+  root_cause_category text not null,
+  owner text not null,
+  due_date date not null,
+  status text not null default 'Open' check (status in ('Open', 'In Progress', 'Closed')),
+  verification_notes text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  closed_by text,
+  closed_at timestamptz
+);
+
+create index if not exists complaint_capa_actions_complaint_idx on complaint_capa_actions (complaint_table, complaint_id);
+create index if not exists complaint_capa_actions_open_due_idx on complaint_capa_actions (due_date) where status <> 'Closed';
@@ -0,0 +1,16 @@
+-- Generated customer reply letters (HTML or PDF). The document itself lives in the
+-- configured storage backend under storage_key.
+create table if not exists complaint_reply_letters (
+  id bigint generated always as identity primary key,
+  complaint_table text not null check (complaint_table in ('yarn_complaints', 'fabric_complaints')),
+  complaint_id bigint not null,
+  format text not null check (format in ('html', 'pdf')),
+  file_name text not null,
+  storage_key text not null unique,
+  size_bytes integer not null,
+  generated_by bigint references login_details (id) on delete set null,
+  generated_by_name text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists complaint_reply_letters_complaint_idx on complaint_reply_letters (complaint_table, complaint_id);
@@ -0,0 +1,5 @@
+-- Numeric billed quantity in kg, parsed from billed_quantity text ("8,870 KG") on ingestion,
+-- with the unit it was given in. Existing rows are filled by `npm run migrate:backfill-quantity`;
+-- rows whose text cannot be read keep null here.
+alter table dispatch_data add column if not exists billed_quantity_kg numeric;
+alter table dispatch_data add column if not exists billed_quantity_unit text;
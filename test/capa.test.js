@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateCapaAction, CAPA_STATUSES } from "../lib/capa.js";
+
+const valid = {
+  action_type: "Corrective",
+  description: "Recalibrate the ring frame",
+  root_cause_category: "Machine",
+  owner: "Ravi",
+  due_date: "2026-11-30"
+};
+
+function fieldsWithErrors(result) {
+  return result.errors.map(e => e.field);
+}
+
+test("a complete action is accepted and trimmed", () => {
+  const { value, errors } = validateCapaAction({ ...valid, owner: "  Ravi  " });
+  assert.deepEqual(errors, []);
+  assert.equal(value.owner, "Ravi");
+});
+
+test("impossible and malformed due dates are rejected", () => {
+  for (const due_date of ["2026-02-31", "2026-13-01", "2026-04-31", "30-11-2026", "2026-11-30T10:00", "soon"]) {
+    const result = validateCapaAction({ ...valid, due_date });
+    assert.deepEqual(fieldsWithErrors(result), ["due_date"], due_date);
+  }
+});
+
+test("leap days are accepted only in leap years", () => {
+  assert.deepEqual(validateCapaAction({ ...valid, due_date: "2028-02-29" }).errors, []);
+  assert.deepEqual(fieldsWithErrors(validateCapaAction({ ...valid, due_date: "2027-02-29" })), ["due_date"]);
+});
+
+test("required fields are enforced on create but not on a partial update", () => {
+  const { errors } = validateCapaAction({ action_type: "Preventive" });
+  assert.deepEqual(errors.map(e => e.field).sort(), ["description", "due_date", "owner", "root_cause_category"]);
+  assert.deepEqual(validateCapaAction({ owner: "Meena" }, { mode: "update" }).errors, []);
+});
+
+test("a required field cannot be blanked on update", () => {
+  assert.deepEqual(fieldsWithErrors(validateCapaAction({ owner: " " }, { mode: "update" })), ["owner"]);
+});
+
+test("options are matched case-insensitively and returned in canonical form", () => {
+  const { value } = validateCapaAction({ ...valid, action_type: "preventive", root_cause_category: "METHOD", status: "in progress" });
+  assert.equal(value.action_type, "Preventive");
+  assert.equal(value.root_cause_category, "Method");
+  assert.equal(value.status, CAPA_STATUSES.IN_PROGRESS);
+});
+
+test("unknown options and fields are rejected", () => {
+  const result = validateCapaAction({ ...valid, action_type: "Remedial", root_cause_category: "Luck", priority: "High" });
+  assert.deepEqual(fieldsWithErrors(result).sort(), ["action_type", "priority", "root_cause_category"]);
+});
+
+test("status cannot be set to Closed outside the close endpoint", () => {
+  const { errors } = validateCapaAction({ status: "Closed" }, { mode: "update" });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /close endpoint/);
+});
+
+test("blank verification notes clear the field", () => {
+  const { value, errors } = validateCapaAction({ verification_notes: "" }, { mode: "update" });
+  assert.deepEqual(errors, []);
+  assert.equal(value.verification_notes, null);
+});
+
+test("a non-object body is rejected", () => {
+  for (const body of [null, [], "text"]) {
+    assert.equal(validateCapaAction(body).errors[0].message, "Body must be a JSON object");
+  }
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateComplaint, isValidDate } from "../lib/complaint-schema.js";
+
+const complaint = {
+  query_received_date: "2026-10-05",
+  customer_name: "Arvind Mills",
+  invoice_no: "INV-001",
+  complaint_qty: "1,250"
+};
+
+function fields(errors) {
+  return errors.map(e => e.field).sort();
+}
+
+test("dates must name a real calendar day", () => {
+  assert.equal(isValidDate("2026-02-28"), true);
+  assert.equal(isValidDate("2026-10-05T09:30:00Z"), true);
+  for (const value of ["2026-02-31", "2026-13-01", "05/10/2026", "", null]) {
+    assert.equal(isValidDate(value), false, String(value));
+  }
+});
+
+test("a new complaint starts as Registered", () => {
+  const { value, errors } = validateComplaint("yarn_complaints", complaint);
+  assert.deepEqual(errors, []);
+  assert.equal(value.status, "Registered");
+  assert.equal(value.complaint_qty, 1250);
+});
+
+test("a new complaint cannot start in a later status", () => {
+  const { errors } = validateComplaint("yarn_complaints", { ...complaint, status: "Closed" });
+  assert.deepEqual(fields(errors), ["status"]);
+});
+
+test("required fields, unknown columns and bad values are reported", () => {
+  const { errors } = validateComplaint("fabric_complaints", { customer_name: " ", colour: "red", invoice_date: "2026-02-30" });
+  assert.deepEqual(fields(errors), ["colour", "customer_name", "invoice_date", "query_received_date"]);
+});
+
+test("read-only columns are dropped", () => {
+  const { value, errors } = validateComplaint("yarn_complaints", { ...complaint, id: 7, reference_no: "YC/2026-27/0001" });
+  assert.deepEqual(errors, []);
+  assert.equal("id" in value || "reference_no" in value, false);
+});
+
+test("imported rows keep any known status", () => {
+  const { value, errors } = validateComplaint("yarn_complaints", { ...complaint, status: "closed" }, { mode: "import" });
+  assert.deepEqual(errors, []);
+  assert.equal(value.status, "Closed");
+});
+
+test("imported rows default to Registered and still need required fields", () => {
+  assert.equal(validateComplaint("yarn_complaints", complaint, { mode: "import" }).value.status, "Registered");
+
+  const { errors } = validateComplaint("yarn_complaints", { customer_name: "X", status: "Shipped" }, { mode: "import" });
+  assert.deepEqual(fields(errors), ["query_received_date", "status"]);
+});
+
+test("updates only check the fields sent", () => {
+  const { value, errors } = validateComplaint("yarn_complaints", { remark: "Called customer" }, { mode: "update" });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { remark: "Called customer" });
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { STATUSES, normalizeStatus, validateStatusUpdate } from "../lib/complaint-status.js";
+
+const replied = {
+  status: "Replied",
+  analysis_and_outcome: "Hairiness from worn travellers",
+  action_taken: "Travellers replaced",
+  reply_date: "2026-10-01"
+};
+
+test("statuses are normalised regardless of casing and spacing", () => {
+  assert.equal(normalizeStatus("  under   INVESTIGATION "), STATUSES.UNDER_INVESTIGATION);
+  assert.equal(normalizeStatus("closed"), STATUSES.CLOSED);
+  assert.equal(normalizeStatus("done"), null);
+  assert.equal(normalizeStatus(""), null);
+});
+
+test("a complaint moves only along the allowed transitions", () => {
+  assert.deepEqual(validateStatusUpdate({ status: "Registered" }, { status: "Under Investigation" }), { status: STATUSES.UNDER_INVESTIGATION });
+  assert.match(validateStatusUpdate({ status: "Registered" }, { status: "Replied" }).error, /Cannot move a complaint from 'Registered' to 'Replied'/);
+  assert.match(validateStatusUpdate({ status: "Registered" }, { status: "Finished" }).error, /Unknown status 'Finished'/);
+});
+
+test("a row without a status is treated as Registered", () => {
+  assert.deepEqual(validateStatusUpdate({ status: null }, { remark: "x" }), { status: STATUSES.REGISTERED });
+});
+
+test("closing requires the analysis, action and reply date", () => {
+  assert.deepEqual(validateStatusUpdate(replied, { status: "Closed" }), { status: STATUSES.CLOSED });
+
+  const { error } = validateStatusUpdate({ ...replied, action_taken: null }, { status: "Closed", reply_date: " " });
+  assert.equal(error, "Cannot close a complaint without: action_taken, reply_date");
+});
+
+test("fields sent with the closing update count towards the close check", () => {
+  const result = validateStatusUpdate({ status: "Replied" }, {
+    status: "closed",
+    analysis_and_outcome: "Contamination",
+    action_taken: "Bale segregation",
+    reply_date: "2026-10-02"
+  });
+  assert.deepEqual(result, { status: STATUSES.CLOSED });
+});
+
+test("an already closed complaint missing close fields can still be edited", () => {
+  const legacy = { status: "Closed", analysis_and_outcome: null, action_taken: "", reply_date: null };
+  assert.deepEqual(validateStatusUpdate(legacy, { remark: "Customer satisfied" }), { status: STATUSES.CLOSED });
+  assert.deepEqual(validateStatusUpdate(legacy, { status: "Closed", remark: "x" }), { status: STATUSES.CLOSED });
+});
+
+test("a closed complaint can only be reopened", () => {
+  assert.deepEqual(validateStatusUpdate({ ...replied, status: "Closed" }, { status: "Reopened" }), { status: STATUSES.REOPENED });
+  assert.match(validateStatusUpdate({ ...replied, status: "Closed" }, { status: "Registered" }).error, /Allowed next: Reopened/);
+});
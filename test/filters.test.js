@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFilters, applyFilters } from "../lib/filters.js";
+
+const columns = ["plant", "market", "billing_date", "lot_no", "canceled"];
+
+function badRequest(fn, message) {
+  assert.throws(fn, (err) => err.status === 400 && message.test(err.message));
+}
+
+// Stand-in for the Supabase query builder that records each call
+function recorder() {
+  const calls = [];
+  const query = new Proxy({}, {
+    get: (_, method) => (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    }
+  });
+  return { query, calls };
+}
+
+function applied(params) {
+  const { query, calls } = recorder();
+  applyFilters(query, parseFilters(params, { columns }));
+  return calls;
+}
+
+test("plain parameters are equality filters and bracketed ones name an operator", () => {
+  assert.deepEqual(parseFilters({ plant: "1001", "billing_date[gte]": "2026-04-01" }, { columns }), [
+    { column: "plant", operator: "eq", value: "1001" },
+    { column: "billing_date", operator: "gte", value: "2026-04-01" }
+  ]);
+});
+
+test("blank values are ignored", () => {
+  assert.deepEqual(parseFilters({ plant: "", "market[neq]": undefined }, { columns }), []);
+});
+
+test("unknown columns and operators are rejected", () => {
+  badRequest(() => parseFilters({ secret_password: "x" }, { columns }), /Unknown filter column 'secret_password'/);
+  badRequest(() => parseFilters({ "plant[between]": "1,2" }, { columns }), /Unknown filter operator 'between'/);
+  badRequest(() => parseFilters({ "plant)": "1" }, { columns }), /Invalid filter/);
+});
+
+test("any column is allowed when no column list is given", () => {
+  assert.equal(parseFilters({ anything: "1" }).length, 1);
+});
+
+test("[is] only accepts its keywords", () => {
+  badRequest(() => parseFilters({ "lot_no[is]": "blank" }, { columns }), /must be one of/);
+  assert.equal(parseFilters({ "lot_no[is]": "NotNull" }, { columns }).length, 1);
+});
+
+test("repeated parameters become one condition each", () => {
+  assert.deepEqual(applied({ "market[neq]": ["Export", "Domestic"] }), [
+    ["neq", "market", "Export"],
+    ["neq", "market", "Domestic"]
+  ]);
+});
+
+test("comma-separated equality means any of", () => {
+  assert.deepEqual(applied({ plant: "1001, 1002" }), [["in", "plant", ["1001", "1002"]]]);
+  assert.deepEqual(applied({ plant: "1001" }), [["eq", "plant", "1001"]]);
+});
+
+test("nin quotes its values", () => {
+  assert.deepEqual(applied({ "market[nin]": 'Export,Say "hi"' }), [["not", "market", "in", '("Export","Say \\"hi\\"")']]);
+});
+
+test("like is a contains match unless a wildcard is given", () => {
+  assert.deepEqual(applied({ "lot_no[like]": "A12" }), [["ilike", "lot_no", "%A12%"]]);
+  assert.deepEqual(applied({ "lot_no[like]": "A12*" }), [["ilike", "lot_no", "A12%"]]);
+});
+
+test("[is] maps each keyword onto the query", () => {
+  assert.deepEqual(applied({ "lot_no[is]": "null" }), [["is", "lot_no", null]]);
+  assert.deepEqual(applied({ "lot_no[is]": "notnull" }), [["not", "lot_no", "is", null]]);
+  assert.deepEqual(applied({ "lot_no[is]": "empty" }), [["or", 'lot_no.is.null,lot_no.eq.""']]);
+  assert.deepEqual(applied({ "canceled[is]": "TRUE" }), [["is", "canceled", true]]);
+});
+
+test("range operators pass straight through", () => {
+  assert.deepEqual(applied({ "billing_date[lt]": "2026-05-01", "plant[gt]": "1000" }), [
+    ["lt", "billing_date", "2026-05-01"],
+    ["gt", "plant", "1000"]
+  ]);
+});
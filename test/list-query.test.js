@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseListParams, checkListColumns, MAX_LIMIT } from "../lib/list-query.js";
+
+const defaults = { defaultSort: "created_at:desc" };
+
+function badRequest(fn, message) {
+  assert.throws(fn, (err) => err.status === 400 && message.test(err.message));
+}
+
+test("the default sort gets an id tiebreak in the same direction", () => {
+  const { options } = parseListParams({}, defaults);
+  assert.deepEqual(options.sort, [
+    { column: "created_at", ascending: false },
+    { column: "id", ascending: false }
+  ]);
+});
+
+test("sort accepts column:direction and -column forms", () => {
+  const { options } = parseListParams({ sort: "billing_date:DESC, -lot_no,id" }, defaults);
+  assert.deepEqual(options.sort, [
+    { column: "billing_date", ascending: false },
+    { column: "lot_no", ascending: false },
+    { column: "id", ascending: true }
+  ]);
+});
+
+test("malformed sort columns and directions are rejected", () => {
+  badRequest(() => parseListParams({ sort: "lot_no;drop" }, defaults), /Invalid sort column/);
+  badRequest(() => parseListParams({ sort: "lot_no:up" }, defaults), /Invalid sort direction/);
+});
+
+test("list options are separated from column filters", () => {
+  const { options, filters } = parseListParams({ limit: "50", page: "2", fields: "id, lot_no", plant: "1001" }, defaults);
+  assert.equal(options.limit, 50);
+  assert.equal(options.page, 2);
+  assert.deepEqual(options.fields, ["id", "lot_no"]);
+  assert.deepEqual(filters, { plant: "1001" });
+});
+
+test("limit must be between 1 and MAX_LIMIT", () => {
+  assert.equal(parseListParams({ limit: String(MAX_LIMIT) }, defaults).options.limit, MAX_LIMIT);
+  for (const limit of ["0", String(MAX_LIMIT + 1), "ten", "-5"]) {
+    badRequest(() => parseListParams({ limit }, defaults), /limit must be between/);
+  }
+});
+
+test("page and cursor need a limit and exclude each other", () => {
+  badRequest(() => parseListParams({ page: "2" }, defaults), /require limit/);
+  badRequest(() => parseListParams({ cursor: "abc" }, defaults), /require limit/);
+  badRequest(() => parseListParams({ limit: "10", page: "2", cursor: "abc" }, defaults), /either page or cursor/);
+  badRequest(() => parseListParams({ limit: "10", page: "0" }, defaults), /page must be 1 or more/);
+});
+
+test("malformed fields are rejected", () => {
+  badRequest(() => parseListParams({ fields: "id,count(*)" }, defaults), /Invalid fields: count\(\*\)/);
+});
+
+test("sort and fields must name columns of the table", () => {
+  const columns = ["id", "created_at", "lot_no"];
+  const ok = parseListParams({ sort: "lot_no", fields: "id,lot_no" }, defaults).options;
+  assert.doesNotThrow(() => checkListColumns(ok, columns));
+
+  const badSort = parseListParams({ sort: "lot_number" }, defaults).options;
+  badRequest(() => checkListColumns(badSort, columns), /Unknown sort column: lot_number/);
+
+  const badFields = parseListParams({ fields: "id,secret" }, defaults).options;
+  badRequest(() => checkListColumns(badFields, columns), /Unknown fields: secret/);
+});
+
+test("columns are not checked when the table's columns are unknown", () => {
+  const { options } = parseListParams({ sort: "anything", fields: "whatever" }, defaults);
+  assert.doesNotThrow(() => checkListColumns(options, null));
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLoginThrottle } from "../lib/login-throttle.js";
+
+// Throttle driven by a fake clock
+function setup() {
+  const clock = { now: 1_000_000 };
+  const throttle = createLoginThrottle({ now: () => clock.now });
+  return { clock, throttle };
+}
+
+async function fail(throttle, fullName, ip, times) {
+  const results = [];
+  for (let i = 0; i < times; i++) results.push(await throttle.begin(fullName, ip));
+  return results;
+}
+
+test("the first three failures are free, the fourth delays the next attempt", async () => {
+  const { clock, throttle } = setup();
+  const results = await fail(throttle, "Asha", "10.0.0.1", 4);
+  assert.ok(results.every(r => r.allowed));
+
+  const blocked = await throttle.begin("Asha", "10.0.0.1");
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.reason, "account_throttled");
+  assert.equal(blocked.retryAfterSeconds, 1);
+
+  clock.now += 1000;
+  assert.equal((await throttle.begin("Asha", "10.0.0.1")).allowed, true);
+});
+
+test("the delay doubles with each further failure", async () => {
+  const { clock, throttle } = setup();
+  await fail(throttle, "Asha", "10.0.0.1", 4);
+  clock.now += 1000;
+  await throttle.begin("Asha", "10.0.0.1");
+
+  const blocked = await throttle.begin("Asha", "10.0.0.1");
+  assert.equal(blocked.retryAfterSeconds, 2);
+});
+
+test("concurrent attempts are counted before any password check", async () => {
+  const { throttle } = setup();
+  const results = await Promise.all(Array.from({ length: 8 }, () => throttle.begin("Asha", "10.0.0.1")));
+  assert.equal(results.filter(r => r.allowed).length, 4);
+});
+
+test("enough failures lock the account for the lockout period", async () => {
+  const { clock, throttle } = setup();
+  for (let i = 0; i < 10; i++) {
+    const result = await throttle.begin("Asha", "10.0.0.1");
+    assert.equal(result.allowed, true);
+    clock.now += 60 * 1000;
+  }
+  clock.now -= 60 * 1000;
+
+  const locked = await throttle.begin("Asha", "10.0.0.1");
+  assert.equal(locked.allowed, false);
+  assert.equal(locked.reason, "account_locked");
+  assert.equal(locked.retryAfterSeconds, 15 * 60);
+
+  clock.now += 15 * 60 * 1000;
+  assert.equal((await throttle.begin("Asha", "10.0.0.1")).allowed, true);
+});
+
+test("account names are matched case-insensitively", async () => {
+  const { throttle } = setup();
+  await fail(throttle, "Asha", "10.0.0.1", 4);
+  assert.equal((await throttle.begin(" ASHA ", "10.0.0.2")).reason, "account_throttled");
+});
+
+test("failures are forgotten once the window has passed", async () => {
+  const { clock, throttle } = setup();
+  await fail(throttle, "Asha", "10.0.0.1", 3);
+  clock.now += 15 * 60 * 1000;
+  const results = await fail(throttle, "Asha", "10.0.0.1", 4);
+  assert.ok(results.every(r => r.allowed));
+});
+
+test("a success clears the account and decays the address count", async () => {
+  const { clock, throttle } = setup();
+  const spaced = async (fullName) => {
+    const result = await throttle.begin(fullName, "10.0.0.1");
+    clock.now += 60 * 1000;
+    return result;
+  };
+  for (let i = 0; i < 3; i++) await spaced(`user${i}`);
+  await spaced("Asha");
+  await spaced("Asha");
+
+  const attempt = await throttle.begin("Asha", "10.0.0.1");
+  await attempt.succeed();
+
+  // The address keeps half of its 5 earlier failures, so two more bring it to a delay
+  assert.equal((await spaced("Asha")).allowed, true);
+  assert.equal((await throttle.begin("Asha", "10.0.0.1")).allowed, true);
+  assert.equal((await throttle.begin("Asha", "10.0.0.1")).reason, "address_throttled");
+});
+
+test("a cancelled attempt is not counted", async () => {
+  const { throttle } = setup();
+  for (let i = 0; i < 10; i++) {
+    const attempt = await throttle.begin("Asha", "10.0.0.1");
+    assert.equal(attempt.allowed, true);
+    await attempt.cancel();
+  }
+});
+
+test("many accounts failing from one address lock the address", async () => {
+  const { clock, throttle } = setup();
+  for (let i = 0; i < 30; i++) {
+    assert.equal((await throttle.begin(`user${i}`, "10.0.0.1")).allowed, true);
+    clock.now += 60 * 1000;
+  }
+  clock.now -= 60 * 1000;
+
+  assert.equal((await throttle.begin("someone-else", "10.0.0.1")).reason, "address_locked");
+  // A refused attempt does not count against the account
+  assert.equal((await throttle.begin("someone-else", "10.0.0.2")).allowed, true);
+  assert.equal((await throttle.begin("someone-else", "10.0.0.3")).allowed, true);
+  assert.equal((await throttle.begin("someone-else", "10.0.0.4")).allowed, true);
+});
+
+test("unlock clears the account and address", async () => {
+  const { throttle } = setup();
+  await fail(throttle, "Asha", "10.0.0.1", 4);
+  await throttle.unlock({ fullName: "Asha", ip: "10.0.0.1" });
+  assert.equal((await throttle.begin("Asha", "10.0.0.1")).allowed, true);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuantity, withParsedQuantity, rowQuantityKg } from "../lib/quantity.js";
+
+test("kg quantities with thousands separators", () => {
+  assert.deepEqual(parseQuantity("8,870 KG"), { kg: 8870, unit: "KG" });
+  assert.deepEqual(parseQuantity("1,00,000 kgs"), { kg: 100000, unit: "KG" });
+  assert.deepEqual(parseQuantity("12.5kg."), { kg: 12.5, unit: "KG" });
+});
+
+test("bare numbers are taken as kg", () => {
+  assert.deepEqual(parseQuantity("500"), { kg: 500, unit: "KG" });
+  assert.deepEqual(parseQuantity(" .5 "), { kg: 0.5, unit: "KG" });
+  assert.deepEqual(parseQuantity(750), { kg: 750, unit: "KG" });
+});
+
+test("other units are converted to kg and keep their canonical name", () => {
+  assert.deepEqual(parseQuantity("1.5 MT"), { kg: 1500, unit: "MT" });
+  assert.deepEqual(parseQuantity("2 tonnes"), { kg: 2000, unit: "MT" });
+  assert.deepEqual(parseQuantity("12 Qtl"), { kg: 1200, unit: "QTL" });
+  assert.deepEqual(parseQuantity("250 g"), { kg: 0.25, unit: "G" });
+  assert.deepEqual(parseQuantity("10 lbs"), { kg: 4.536, unit: "LB" });
+});
+
+test("conversions are rounded to the gram", () => {
+  assert.equal(parseQuantity("0.1 MT").kg, 100);
+  assert.equal(parseQuantity("1 lb").kg, 0.454);
+});
+
+test("blank and unreadable values give null", () => {
+  for (const value of ["", "   ", null, undefined, "abc", "KG", "12 bales", "1.2.3 kg", "8 870 kg", NaN, Infinity]) {
+    assert.equal(parseQuantity(value), null, String(value));
+  }
+});
+
+test("withParsedQuantity derives the kg columns and ignores client-sent ones", () => {
+  const { value } = withParsedQuantity({ lot_no: "L1", billed_quantity: "2 MT", billed_quantity_kg: 1, billed_quantity_unit: "G" });
+  assert.deepEqual(value, { lot_no: "L1", billed_quantity: "2 MT", billed_quantity_kg: 2000, billed_quantity_unit: "MT" });
+});
+
+test("withParsedQuantity reports unreadable quantities", () => {
+  assert.equal(withParsedQuantity({ billed_quantity: "lots" }).error, "billed_quantity 'lots' is not a readable quantity");
+  assert.match(withParsedQuantity({}).error, /''/);
+});
+
+test("rowQuantityKg prefers the stored kg and falls back to parsing the text", () => {
+  assert.equal(rowQuantityKg({ billed_quantity: "8,870 KG", billed_quantity_kg: "8870" }), 8870);
+  assert.equal(rowQuantityKg({ billed_quantity: "1.5 MT", billed_quantity_kg: null }), 1500);
+  assert.equal(rowQuantityKg({ billed_quantity: "1.5 MT" }), 1500);
+  assert.equal(rowQuantityKg({ billed_quantity: "n/a", billed_quantity_kg: null }), null);
+});